@@ -0,0 +1,125 @@
+const dashboards = require("./dashboards");
+const datasets = require("./datasets");
+const { hasCategoryPills } = require("./aggregate");
+
+// --- Dashboard actions requested from chat ---
+// The model asks for changes to the dashboard view (filters, card category selections, a
+// highlighted card, the open tab); the browser applies them and lists each one with an undo.
+// Here they are checked against the dataset and dashboard and given a label for the chat.
+
+const ACTION_TYPES = ["set_filter", "clear_filter", "clear_filters", "select_categories", "highlight_card", "switch_tab"];
+const TABS = ["dashboard", "insights", "chat", "profile"];
+
+class ActionError extends Error {
+  constructor(errors) {
+    super(`Invalid dashboard action: ${errors.join("; ")}`);
+    this.name = "ActionError";
+    this.code = "invalid_action";
+    this.errors = errors;
+  }
+}
+
+const distinctValues = (dataset, column) => new Set(dataset.store.columns.get(column).values);
+
+// Filter entry in the query format the chat tools run with
+function toQueryFilter(action) {
+  if (action.range) return { column: action.column, op: "between", value: action.range };
+  if (action.values.length === 1) return { column: action.column, op: "eq", value: action.values[0] };
+  return { column: action.column, op: "in", value: action.values };
+}
+
+function checkFilter(action, dataset, errors) {
+  if (!dataset.columns.includes(action.column)) return errors.push(`unknown column "${action.column}"`);
+  if (action.type === "clear_filter") return;
+
+  if (Array.isArray(action.range)) {
+    const [min, max] = action.range.map(Number);
+    if (!dataset.numericCols.includes(action.column)) errors.push(`column "${action.column}" is not numeric, so it can't take a range`);
+    else if (action.range.length !== 2 || !(min <= max)) errors.push("range must be [min, max] with min <= max");
+    return;
+  }
+  if (!Array.isArray(action.values) || action.values.length === 0) {
+    return errors.push(`set_filter on "${action.column}" needs values or a range`);
+  }
+  const known = distinctValues(dataset, action.column);
+  const unknown = action.values.map(String).filter((v) => !known.has(v));
+  if (unknown.length > 0) errors.push(`"${action.column}" has no value ${unknown.map((v) => `"${v}"`).join(", ")}`);
+}
+
+// Recipe of the 1-based card number an action names
+function checkCard(action, recipes, dataset, errors) {
+  const recipe = Number.isInteger(action.card) ? recipes[action.card - 1] : null;
+  if (!recipe) {
+    errors.push(`card must be a number from 1 to ${recipes.length}`);
+    return null;
+  }
+  if (action.type !== "select_categories") return recipe;
+
+  if (recipe.query || !hasCategoryPills(recipe, dataset, datasets.columnOrders(dataset))) {
+    errors.push(`card ${action.card} ("${recipe.title}") has no category selection`);
+  } else if (!Array.isArray(action.categories) || action.categories.length === 0) {
+    errors.push("select_categories needs categories");
+  } else {
+    const known = distinctValues(dataset, recipe.xColumn);
+    const unknown = action.categories.map(String).filter((v) => !known.has(v));
+    if (unknown.length > 0) errors.push(`"${recipe.xColumn}" has no value ${unknown.map((v) => `"${v}"`).join(", ")}`);
+  }
+  return recipe;
+}
+
+function label(action, recipe) {
+  const card = recipe ? `card ${action.card} ("${recipe.title}")` : "";
+  switch (action.type) {
+    case "set_filter":
+      return action.range
+        ? `Filtered ${action.column} to ${action.range[0]}–${action.range[1]}`
+        : `Filtered ${action.column} to ${action.values.join(", ")}`;
+    case "clear_filter": return `Cleared the ${action.column} filter`;
+    case "clear_filters": return "Cleared all filters";
+    case "select_categories": return `Showing ${action.categories.join(", ")} on ${card}`;
+    case "highlight_card": return `Highlighted ${card}`;
+    default: return `Switched to the ${action.tab} tab`;
+  }
+}
+
+// Check a list of actions against the chat scope. Returns the normalized actions (each with a
+// label) and the filters in effect after them; throws ActionError listing every problem.
+function resolveActions(actions, scope) {
+  if (!Array.isArray(actions) || actions.length === 0) throw new ActionError(["actions must be a non-empty array"]);
+  const { dataset, dashboard } = scope;
+  const recipes = dashboard ? dashboards.dashboardView(dashboard).recipes : [];
+  const errors = [];
+  let filters = scope.filters;
+
+  const resolved = actions.map((raw, i) => {
+    const action = { ...raw };
+    const problems = [];
+    let recipe = null;
+    if (!ACTION_TYPES.includes(action.type)) problems.push(`type must be one of ${ACTION_TYPES.join(", ")}`);
+    if (action.type === "set_filter" || action.type === "clear_filter") checkFilter(action, dataset, problems);
+    if (action.type === "select_categories" || action.type === "highlight_card") recipe = checkCard(action, recipes, dataset, problems);
+    if (action.type === "switch_tab" && !TABS.includes(action.tab)) problems.push(`tab must be one of ${TABS.join(", ")}`);
+    if (problems.length > 0) {
+      errors.push(...problems.map((e) => `action ${i + 1}: ${e}`));
+      return null;
+    }
+
+    if (action.type === "set_filter") {
+      if (action.range) action.range = action.range.map(Number);
+      else action.values = action.values.map(String);
+      filters = [...filters.filter((f) => f.column !== action.column), toQueryFilter(action)];
+    } else if (action.type === "clear_filter") {
+      filters = filters.filter((f) => f.column !== action.column);
+    } else if (action.type === "clear_filters") {
+      filters = [];
+    } else if (action.type === "select_categories") {
+      action.categories = action.categories.map(String);
+    }
+    return { ...action, label: label(action, recipe) };
+  });
+
+  if (errors.length > 0) throw new ActionError(errors);
+  return { actions: resolved, filters };
+}
+
+module.exports = { ACTION_TYPES, TABS, ActionError, resolveActions };
@@ -0,0 +1,363 @@
+const { measureColumns } = require("./profile");
+const { selectRows, countValues } = require("./columnar");
+const { MAX_BINS } = require("./recipes");
+
+// --- Dashboard aggregation ---
+// Chart data for a dashboard recipe under the cross-filters, computed from the dataset's column
+// store so the browser gets the aggregated series rather than every row. The shapes are the ones
+// the dashboard draws: { labels, values } for bar/line/pie, { labels, series | facets } with a
+// color or facet column, { groups } for box/violin, { x, y, z } for heatmaps, { labels, z } for
+// correlation matrices, { x, y } or { series } for scatters and { bins } for histograms.
+
+const MAX_FACETS = 6;
+// Scatters beyond this many points are thinned to an evenly spaced sample
+const MAX_POINTS = 5000;
+// Chart types whose x categories get pills (the top few by default, the rest as "Other"); lines
+// draw every level of their x in order, and any chart can have series pills for a color column
+const PILL_TYPES = ["bar", "pie", "box", "violin"];
+const UNKNOWN = "Unknown";
+
+const round = (n, digits = 2) => Number(n.toFixed(digits));
+
+// --- Categories ---
+// The column's ordinal (or user-set) order, numeric value, else count descending
+function sortCategories(ctx, column, labels, countOf) {
+  const order = ctx.orders[column];
+  if (!order && ctx.numericCols.includes(column)) {
+    return [...labels].sort((a, b) => Number(a) - Number(b) || countOf(b) - countOf(a));
+  }
+  if (!order) return [...labels].sort((a, b) => countOf(b) - countOf(a));
+  const rank = (label) => {
+    const i = order.indexOf(label);
+    return i === -1 ? order.length : i;
+  };
+  return [...labels].sort((a, b) => rank(a) - rank(b) || countOf(b) - countOf(a));
+}
+
+// Rows per category label among `ids`, with blank cells counted as "Unknown"
+function categoryCounts(ctx, column, ids) {
+  const counts = new Map();
+  for (const [value, n] of countValues(ctx.store, column, ids)) {
+    const label = value || UNKNOWN;
+    counts.set(label, (counts.get(label) || 0) + n);
+  }
+  return counts;
+}
+
+function allCategories(ctx, column, ids) {
+  const counts = categoryCounts(ctx, column, ids);
+  return sortCategories(ctx, column, [...counts.keys()], (label) => counts.get(label));
+}
+
+// The n most frequent categories, kept in display order
+function topCategories(ctx, column, ids, n) {
+  const counts = categoryCounts(ctx, column, ids);
+  const top = [...counts.keys()].sort((a, b) => counts.get(b) - counts.get(a)).slice(0, n);
+  return sortCategories(ctx, column, top, (label) => counts.get(label));
+}
+
+// Every category for a pill row, and the top few shown by default when there are too many
+function pillCategories(ctx, column, ids, chosen, maxCategories) {
+  const values = allCategories(ctx, column, ids);
+  const top = maxCategories && values.length > maxCategories ? topCategories(ctx, column, ids, maxCategories) : null;
+  return { values, top, shown: chosen || top };
+}
+
+// Whether a recipe's x categories can be narrowed to a selection. Ordered and numeric x columns
+// never are: all their levels are drawn, in order.
+function hasCategoryPills(recipe, dataset, orders) {
+  return PILL_TYPES.includes(recipe.type) && !dataset.numericCols.includes(recipe.xColumn) && !orders[recipe.xColumn];
+}
+
+// --- Aggregation ---
+function aggregateValue(ctx, ids, aggregation, yColumn) {
+  if (aggregation === "count") return ids.length;
+  const { numbers } = ctx.store.columns.get(yColumn);
+  let sum = 0;
+  let n = 0;
+  for (const id of ids) {
+    if (Number.isNaN(numbers[id])) continue;
+    sum += numbers[id];
+    n += 1;
+  }
+  if (aggregation === "average") return n ? round(sum / n) : 0;
+  if (aggregation === "sum") return sum;
+  return undefined;
+}
+
+// Row ids per category label of `column`
+function groupIds(ctx, column, ids) {
+  const { values } = ctx.store.columns.get(column);
+  const groups = new Map();
+  for (const id of ids) {
+    const label = values[id] || UNKNOWN;
+    if (!groups.has(label)) groups.set(label, []);
+    groups.get(label).push(id);
+  }
+  return groups;
+}
+
+// bar, line or pie: one value per x category; unselected categories sum into "Other"
+function categoryData(ctx, recipe, ids, shown) {
+  const { xColumn, yColumn, aggregation } = recipe;
+  const groups = groupIds(ctx, xColumn, ids);
+  const selected = shown || [...groups.keys()];
+  const labels = [];
+  const values = [];
+  let other = 0;
+  let hasOther = false;
+
+  for (const key of sortCategories(ctx, xColumn, [...groups.keys()], (k) => groups.get(k).length)) {
+    const value = aggregateValue(ctx, groups.get(key), aggregation, yColumn);
+    if (selected.includes(key)) {
+      labels.push(key);
+      values.push(value);
+    } else if (aggregation !== "average") {
+      // Averages don't add up, so they have no "Other"
+      other += value;
+      hasOther = true;
+    }
+  }
+  if (hasOther && other > 0) {
+    labels.push("Other");
+    values.push(other);
+  }
+  return { labels, values };
+}
+
+// Numeric yColumn values per xColumn category; unselected categories merge into "Other"
+function distributionData(ctx, recipe, ids, shown) {
+  const { xColumn, yColumn } = recipe;
+  const names = shown || allCategories(ctx, xColumn, ids);
+  const labels = ctx.store.columns.get(xColumn).values;
+  const { numbers } = ctx.store.columns.get(yColumn);
+  const groups = new Map();
+  for (const id of ids) {
+    if (Number.isNaN(numbers[id])) continue;
+    const key = labels[id] || UNKNOWN;
+    const name = names.includes(key) ? key : "Other";
+    if (!groups.has(name)) groups.set(name, []);
+    groups.get(name).push(numbers[id]);
+  }
+  return { groups: [...names, "Other"].filter((name) => groups.has(name)).map((name) => ({ name, values: groups.get(name) })) };
+}
+
+// Row counts for every xColumn × yColumn pair; z is indexed [y][x] as Plotly expects
+function crosstabData(ctx, recipe, ids) {
+  const { xColumn, yColumn } = recipe;
+  const x = allCategories(ctx, xColumn, ids);
+  const y = allCategories(ctx, yColumn, ids);
+  const xs = ctx.store.columns.get(xColumn).values;
+  const ys = ctx.store.columns.get(yColumn).values;
+  const counts = new Map();
+  for (const id of ids) {
+    const k = `${xs[id] || UNKNOWN}\u0000${ys[id] || UNKNOWN}`;
+    counts.set(k, (counts.get(k) || 0) + 1);
+  }
+  return { x, y, z: y.map((b) => x.map((a) => counts.get(`${a}\u0000${b}`) || 0)) };
+}
+
+function pearson(ctx, a, b, ids) {
+  const xs = ctx.store.columns.get(a).numbers;
+  const ys = ctx.store.columns.get(b).numbers;
+  let n = 0, sx = 0, sy = 0;
+  for (const id of ids) {
+    if (Number.isNaN(xs[id]) || Number.isNaN(ys[id])) continue;
+    n += 1;
+    sx += xs[id];
+    sy += ys[id];
+  }
+  if (n <= 2) return null;
+  const mx = sx / n;
+  const my = sy / n;
+  let sxy = 0, sxx = 0, syy = 0;
+  for (const id of ids) {
+    if (Number.isNaN(xs[id]) || Number.isNaN(ys[id])) continue;
+    sxy += (xs[id] - mx) * (ys[id] - my);
+    sxx += (xs[id] - mx) ** 2;
+    syy += (ys[id] - my) ** 2;
+  }
+  return sxx === 0 || syy === 0 ? null : round(sxy / Math.sqrt(sxx * syy));
+}
+
+// Pearson r between every pair of columns over the filtered rows where both are present
+function correlationData(ctx, recipe, ids) {
+  const labels = recipe.columns && recipe.columns.length >= 2 ? recipe.columns : measureColumns(ctx.profile);
+  return { labels, z: labels.map((a) => labels.map((b) => (a === b ? 1 : pearson(ctx, a, b, ids)))) };
+}
+
+// Evenly spaced sample of at most MAX_POINTS ids
+function samplePoints(ids) {
+  if (ids.length <= MAX_POINTS) return ids;
+  const step = ids.length / MAX_POINTS;
+  return Array.from({ length: MAX_POINTS }, (_, i) => ids[Math.floor(i * step)]);
+}
+
+function scatterData(ctx, recipe, ids, shownSeries) {
+  const { xColumn, yColumn, colorColumn } = recipe;
+  const xs = ctx.store.columns.get(xColumn).numbers;
+  const ys = ctx.store.columns.get(yColumn).numbers;
+  const points = samplePoints(Array.from(ids).filter((id) => !Number.isNaN(xs[id]) && !Number.isNaN(ys[id])));
+  if (!colorColumn) return { x: points.map((id) => xs[id]), y: points.map((id) => ys[id]) };
+
+  const names = shownSeries || allCategories(ctx, colorColumn, ids);
+  const colors = ctx.store.columns.get(colorColumn).values;
+  const groups = new Map();
+  for (const id of points) {
+    let name = colors[id] || UNKNOWN;
+    if (!names.includes(name)) name = "Other";
+    if (!groups.has(name)) groups.set(name, { name, x: [], y: [] });
+    groups.get(name).x.push(xs[id]);
+    groups.get(name).y.push(ys[id]);
+  }
+  return { series: [...names, "Other"].filter((name) => groups.has(name)).map((name) => groups.get(name)) };
+}
+
+// Bar width rounded to 1, 2, 2.5 or 5 times a power of ten
+function niceWidth(raw) {
+  const magnitude = 10 ** Math.floor(Math.log10(raw));
+  const step = [1, 2, 2.5, 5, 10].find((s) => s * magnitude >= raw);
+  return step * magnitude;
+}
+
+// Counts per equal-width bin: the recipe's binWidth (aligned to whole multiples), binCount,
+// or else about √n bins of a round width (whole numbers for integer columns)
+function histogramData(ctx, recipe, ids) {
+  const { numbers } = ctx.store.columns.get(recipe.xColumn);
+  const values = [];
+  for (const id of ids) if (!Number.isNaN(numbers[id])) values.push(numbers[id]);
+  if (values.length === 0) return { bins: { start: 0, size: 1, counts: [] } };
+
+  const min = values.reduce((m, v) => (v < m ? v : m), Infinity);
+  const max = values.reduce((m, v) => (v > m ? v : m), -Infinity);
+  const count = Math.round(Number(recipe.binCount));
+  let start;
+  let size;
+  if (Number(recipe.binWidth) > 0) {
+    size = Number(recipe.binWidth);
+    start = Math.floor(min / size) * size;
+  } else if (count > 0) {
+    size = max > min ? (max - min) / count : 1;
+    start = min;
+  } else {
+    const target = Math.min(40, Math.max(5, Math.ceil(Math.sqrt(values.length))));
+    size = max > min ? niceWidth((max - min) / target) : 1;
+    if (values.every(Number.isInteger)) size = Math.max(1, Math.ceil(size));
+    start = Math.floor(min / size) * size;
+  }
+  // A fixed bin count ends exactly at the maximum, so the maximum joins the last bin
+  let bins = count > 0 && !(Number(recipe.binWidth) > 0) ? Math.min(count, MAX_BINS) : Math.floor((max - start) / size) + 1;
+  if (bins > MAX_BINS) {
+    // Recipes are checked against the full range, so this is a safety net: widen to a multiple of the width
+    size *= Math.ceil(bins / (MAX_BINS - 1));
+    start = Math.floor(min / size) * size;
+    bins = Math.floor((max - start) / size) + 1;
+  }
+
+  const counts = new Array(bins).fill(0);
+  for (const v of values) counts[Math.min(bins - 1, Math.floor((v - start) / size))] += 1;
+  return { bins: { start: round(start, 10), size: round(size, 10), counts } };
+}
+
+// --- Series and facets: a color (series) and a facet dimension on top of x ---
+// Cells { facet, x, series, value } as { labels, series } or { labels, facets: [{ name, series }] };
+// missing cells are 0 for counts and sums, gaps (null) for averages
+function pivotCells(cells, labels, seriesNames, facetNames, fill) {
+  const key = (facet, x, series) => JSON.stringify([facet, x, series]);
+  const lookup = new Map(cells.map((c) => [key(c.facet, c.x, c.series), c.value]));
+  const panel = (facet) =>
+    seriesNames.map((name) => ({
+      name,
+      values: labels.map((x) => (lookup.has(key(facet, x, name)) ? lookup.get(key(facet, x, name)) : fill)),
+    }));
+
+  if (facetNames.length === 1 && facetNames[0] === null) return { labels, series: panel(null) };
+  return { labels, facets: facetNames.map((name) => ({ name, series: panel(name) })) };
+}
+
+// x × color × facet; unselected values collapse into "Other" (dropped for averages)
+function seriesData(ctx, recipe, ids, shownX, shownSeries) {
+  const { xColumn, yColumn, colorColumn, facetColumn, aggregation } = recipe;
+  const dropOther = aggregation === "average";
+  const xShown = shownX || allCategories(ctx, xColumn, ids);
+  const seriesShown = colorColumn ? shownSeries || allCategories(ctx, colorColumn, ids) : [null];
+  const facetShown = facetColumn ? topCategories(ctx, facetColumn, ids, MAX_FACETS) : [null];
+  const collapse = (value, shown) => (shown.includes(value) ? value : dropOther ? undefined : "Other");
+  const cell = (column, shown, id) => (column ? collapse(ctx.store.columns.get(column).values[id] || UNKNOWN, shown) : null);
+
+  const buckets = new Map();
+  const used = { x: new Set(), series: new Set(), facet: new Set() };
+  for (const id of ids) {
+    const x = cell(xColumn, xShown, id);
+    const series = cell(colorColumn, seriesShown, id);
+    const facet = cell(facetColumn, facetShown, id);
+    if (x === undefined || series === undefined || facet === undefined) continue;
+    const k = JSON.stringify([facet, x, series]);
+    if (!buckets.has(k)) buckets.set(k, { facet, x, series, ids: [] });
+    buckets.get(k).ids.push(id);
+    used.x.add(x);
+    used.series.add(series);
+    used.facet.add(facet);
+  }
+
+  const withOther = (shown, set) => [...shown, "Other"].filter((v) => set.has(v));
+  const cells = [...buckets.values()].map((b) => ({ ...b, value: aggregateValue(ctx, b.ids, aggregation, yColumn) }));
+  return pivotCells(
+    cells,
+    withOther(xShown, used.x),
+    colorColumn ? withOther(seriesShown, used.series) : [null],
+    facetColumn ? withOther(facetShown, used.facet) : [null],
+    dropOther ? null : 0
+  );
+}
+
+function chartData(ctx, recipe, ids, shownX, shownSeries) {
+  const { type } = recipe;
+  if (type === "scatter") return scatterData(ctx, recipe, ids, shownSeries);
+  if (recipe.colorColumn || recipe.facetColumn) return seriesData(ctx, recipe, ids, shownX, shownSeries);
+  if (type === "box" || type === "violin") return distributionData(ctx, recipe, ids, shownX);
+  if (type === "heatmap") return crosstabData(ctx, recipe, ids);
+  if (type === "correlation") return correlationData(ctx, recipe, ids);
+  if (type === "histogram") return histogramData(ctx, recipe, ids);
+  return categoryData(ctx, recipe, ids, shownX);
+}
+
+// request: { recipe, filters, categories, series, maxCategories } — a validated, non-query recipe
+// and query filter entries. categories/series are the selected x and color values (null for the
+// default: all of them, or the top maxCategories when there are more). Returns the chart data,
+// the number of rows it covers and, for charts with pills, every category and the default top few.
+function aggregateRecipe(dataset, request, orders) {
+  const { recipe, filters = [], categories = null, series = null, maxCategories = null } = request;
+  const ctx = { store: dataset.store, orders, numericCols: dataset.numericCols, profile: dataset.profile };
+  const ids = selectRows(ctx.store, filters);
+
+  const pills = {};
+  if (hasCategoryPills(recipe, dataset, orders)) pills.x = pillCategories(ctx, recipe.xColumn, ids, categories, maxCategories);
+  if (recipe.colorColumn) pills.series = pillCategories(ctx, recipe.colorColumn, ids, series, maxCategories);
+
+  const data = chartData(ctx, recipe, ids, pills.x ? pills.x.shown : null, pills.series ? pills.series.shown : null);
+  const lists = Object.fromEntries(Object.entries(pills).map(([key, { values, top }]) => [key, { values, top }]));
+  return { data, matchedRows: ids.length, categories: lists };
+}
+
+// Columns with more distinct values than this (ids, free text) aren't listed for the filter editor
+const MAX_LISTED_VALUES = 500;
+const listedCategories = new WeakMap();
+
+// Category counts over all rows for each column with a manageable number of values, computed once
+// per dataset (the filter and order editors list these)
+function columnCategories(dataset) {
+  if (!listedCategories.has(dataset)) {
+    const ctx = { store: dataset.store };
+    const ids = selectRows(dataset.store);
+    const listed = {};
+    for (const column of dataset.columns) {
+      const counts = categoryCounts(ctx, column, ids);
+      if (counts.size <= MAX_LISTED_VALUES) listed[column] = Object.fromEntries(counts);
+    }
+    listedCategories.set(dataset, listed);
+  }
+  return listedCategories.get(dataset);
+}
+
+module.exports = { aggregateRecipe, hasCategoryPills, columnCategories };
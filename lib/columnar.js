@@ -0,0 +1,128 @@
+// --- Columnar store ---
+// Each dataset keeps its cells as one array per column (the raw strings plus their numeric
+// parse), and every categorical column gets an index of value → row ids. This is the only
+// in-memory copy of the data: aggregation, queries and the row browser select rows through
+// the indexes instead of scanning row objects and only read the columns they need; code that
+// wants row objects (stats, chat, insights) builds them on demand.
+
+// Filter ops an index can answer on its own; the rest scan the column
+const INDEXED_OPS = ["eq", "in", "neq", "not_in"];
+
+const cellText = (value) => (value == null ? "" : String(value));
+const cellNumber = (text) => (text.trim() === "" ? NaN : Number(text));
+const toNumber = (value) => (value === "" || value == null ? NaN : Number(value));
+
+// One cell value against a query filter entry; query.js checks derived cells with it too
+function matchesValue(raw, f) {
+  switch (f.op) {
+    case "eq": return String(raw) === String(f.value);
+    case "neq": return String(raw) !== String(f.value);
+    case "in": return f.value.map(String).includes(String(raw));
+    case "not_in": return !f.value.map(String).includes(String(raw));
+    case "contains": return String(raw).toLowerCase().includes(String(f.value).toLowerCase());
+    case "between": {
+      const n = toNumber(raw);
+      return n >= Number(f.value[0]) && n <= Number(f.value[1]);
+    }
+    default: {
+      const n = toNumber(raw);
+      const v = Number(f.value);
+      if (Number.isNaN(n)) return false;
+      if (f.op === "gt") return n > v;
+      if (f.op === "gte") return n >= v;
+      if (f.op === "lt") return n < v;
+      return n <= v;
+    }
+  }
+}
+
+function buildIndex(values) {
+  const postings = new Map();
+  values.forEach((value, id) => {
+    if (!postings.has(value)) postings.set(value, []);
+    postings.get(value).push(id);
+  });
+  return new Map([...postings].map(([value, ids]) => [value, Uint32Array.from(ids)]));
+}
+
+// rows: parsed records; indexed: the columns to index (the categorical ones)
+function buildColumnStore(rows, columns, indexed) {
+  const store = { length: rows.length, columns: new Map(), indexes: new Map() };
+  for (const name of columns) {
+    const values = rows.map((row) => cellText(row[name]));
+    store.columns.set(name, { values, numbers: Float64Array.from(values, cellNumber) });
+  }
+  for (const name of indexed) store.indexes.set(name, buildIndex(store.columns.get(name).values));
+  return store;
+}
+
+const allIds = (store) => Uint32Array.from({ length: store.length }, (_, i) => i);
+
+// Row ids (ascending) that pass every filter entry; filters are validated query filters
+function selectRows(store, filters = []) {
+  const indexed = filters.filter((f) => store.indexes.has(f.column) && INDEXED_OPS.includes(f.op));
+  const scanned = filters.filter((f) => !indexed.includes(f));
+
+  let keep = null;
+  for (const f of indexed) {
+    const index = store.indexes.get(f.column);
+    const values = (Array.isArray(f.value) ? f.value : [f.value]).map(String);
+    const hit = new Uint8Array(store.length);
+    for (const value of values) {
+      for (const id of index.get(value) || []) hit[id] = 1;
+    }
+    const negate = f.op === "neq" || f.op === "not_in";
+    keep = keep || new Uint8Array(store.length).fill(1);
+    for (let id = 0; id < store.length; id++) {
+      if (hit[id] === (negate ? 1 : 0)) keep[id] = 0;
+    }
+  }
+
+  let ids = keep ? allIds(store).filter((id) => keep[id]) : allIds(store);
+  for (const f of scanned) {
+    const { values } = store.columns.get(f.column);
+    ids = ids.filter((id) => matchesValue(values[id], f));
+  }
+  return ids;
+}
+
+// Rows per value of a column among `ids`; straight from the index when every row is selected
+function countValues(store, column, ids) {
+  const index = store.indexes.get(column);
+  if (index && ids.length === store.length) {
+    return new Map([...index].map(([value, posting]) => [value, posting.length]));
+  }
+  const { values } = store.columns.get(column);
+  const counts = new Map();
+  for (const id of ids) counts.set(values[id], (counts.get(values[id]) || 0) + 1);
+  return counts;
+}
+
+// `ids` ordered by a column, blanks last; numeric columns compare as numbers
+function sortIds(store, ids, column, { descending = false, numeric = false } = {}) {
+  const { values, numbers } = store.columns.get(column);
+  const sign = descending ? -1 : 1;
+  const blank = (id) => (numeric ? Number.isNaN(numbers[id]) : values[id] === "");
+  return Array.from(ids).sort((a, b) => {
+    if (blank(a) || blank(b)) return blank(a) - blank(b);
+    return sign * (numeric ? numbers[a] - numbers[b] : values[a].localeCompare(values[b]));
+  });
+}
+
+// Rows `ids` as arrays of cells in `columns` order
+function readRows(store, ids, columns) {
+  const cols = columns.map((name) => store.columns.get(name).values);
+  return Array.from(ids, (id) => cols.map((values) => values[id]));
+}
+
+// Rows `ids` as records (column → cell) with just `columns`, for code that works on row objects
+function readRecords(store, ids, columns) {
+  const cols = columns.map((name) => [name, store.columns.get(name).values]);
+  return Array.from(ids, (id) => {
+    const record = {};
+    for (const [name, values] of cols) record[name] = values[id];
+    return record;
+  });
+}
+
+module.exports = { matchesValue, buildColumnStore, selectRows, countValues, sortIds, readRows, readRecords };
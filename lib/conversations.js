@@ -0,0 +1,102 @@
+const crypto = require("crypto");
+const { describeFilters } = require("./query");
+
+// --- Server-side chat conversations ---
+// Each conversation belongs to one dataset and keeps every turn, including the
+// computed result and chart spec, so follow-up questions can be answered in context.
+const conversations = new Map();
+
+const HISTORY_TOKEN_BUDGET = Number(process.env.CHAT_HISTORY_TOKEN_BUDGET) || 6000;
+// Cap on how much of a computed result or chart series is replayed per turn
+const MAX_REPLAY_CHARS = 1200;
+
+// Rough token estimate (~4 characters per token) — good enough for budgeting
+const estimateTokens = (text) => Math.ceil(text.length / 4);
+
+function truncate(text, max = MAX_REPLAY_CHARS) {
+  return text.length > max ? `${text.slice(0, max)}… (truncated)` : text;
+}
+
+function createConversation(datasetId) {
+  const now = new Date().toISOString();
+  const conversation = {
+    id: crypto.randomUUID(),
+    datasetId,
+    title: "",
+    createdAt: now,
+    updatedAt: now,
+    turns: [],
+  };
+  conversations.set(conversation.id, conversation);
+  return conversation;
+}
+
+function getConversation(id) {
+  return conversations.get(id) || null;
+}
+
+function addTurn(conversation, turn) {
+  if (!conversation.title) conversation.title = turn.question.slice(0, 80);
+  conversation.turns.push({ ...turn, createdAt: new Date().toISOString() });
+  conversation.updatedAt = new Date().toISOString();
+}
+
+function listConversations(datasetId) {
+  return [...conversations.values()]
+    .filter((c) => c.turns.length > 0 && (!datasetId || c.datasetId === datasetId))
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+    .map((c) => ({
+      id: c.id,
+      datasetId: c.datasetId,
+      title: c.title || "New conversation",
+      turnCount: c.turns.length,
+      createdAt: c.createdAt,
+      updatedAt: c.updatedAt,
+    }));
+}
+
+// What the model said in a past turn, plus what the server computed for it
+function describeAssistantTurn(turn) {
+  const parts = [turn.reply || "(no text reply)"];
+  if (turn.filters && turn.filters.length > 0) {
+    parts.push(`[Answered with dashboard filters: ${describeFilters(turn.filters)}]`);
+  }
+  for (const computed of turn.computations || []) {
+    if (computed.summary) {
+      parts.push(`[Tested ${JSON.stringify(computed.test)} → ${computed.summary}]`);
+      continue;
+    }
+    const how = computed.queryText ? `query: ${computed.queryText}` : `\`${computed.expression}\``;
+    parts.push(`[Computed with ${how} → ${truncate(JSON.stringify(computed.result))}]`);
+  }
+  if (turn.actions && turn.actions.length > 0) {
+    parts.push(`[Dashboard actions: ${turn.actions.map((a) => a.label).join("; ")}]`);
+  }
+  if (turn.chart) {
+    const { type, title, data } = turn.chart;
+    parts.push(`[Chart shown: ${type} "${title || ""}" with data ${truncate(JSON.stringify(data))}]`);
+  }
+  for (const err of turn.errors || []) {
+    parts.push(`[${err.source} evaluation failed (${err.code}): ${err.message}]`);
+  }
+  return parts.join("\n\n");
+}
+
+// Replay prior turns oldest-first, dropping the oldest ones once the budget is spent
+function buildMessages(conversation, question, tokenBudget = HISTORY_TOKEN_BUDGET) {
+  const history = [];
+  let used = estimateTokens(question);
+
+  for (let i = conversation.turns.length - 1; i >= 0; i--) {
+    const turn = conversation.turns[i];
+    const answer = describeAssistantTurn(turn);
+    const cost = estimateTokens(turn.question) + estimateTokens(answer);
+    if (used + cost > tokenBudget) break;
+    used += cost;
+    history.unshift({ role: "user", content: turn.question }, { role: "assistant", content: answer });
+  }
+
+  return [...history, { role: "user", content: question }];
+}
+
+module.exports = { createConversation, getConversation, addTurn, listConversations, buildMessages };
@@ -0,0 +1,127 @@
+const fs = require("fs");
+const path = require("path");
+
+// --- Dashboard store ---
+// Dashboards live in a local JSON file so restarts don't regenerate (or change) them.
+// Every save appends a version; the newest version is the current recipe list.
+//
+// Each dataset (identified by a content hash, so a new export with the same file
+// name isn't mistaken for the old one) gets one generated default dashboard;
+// users can save further named copies.
+
+const STORE_PATH = process.env.DASHBOARD_STORE || path.join(__dirname, "..", "data", "dashboards.json");
+const MAX_VERSIONS = 50;
+
+let dashboards = new Map();
+
+function load() {
+  try {
+    const stored = JSON.parse(fs.readFileSync(STORE_PATH, "utf-8"));
+    dashboards = new Map((stored.dashboards || []).map((d) => [d.id, d]));
+    console.log(`Loaded ${dashboards.size} saved dashboard(s)`);
+  } catch (err) {
+    if (err.code !== "ENOENT") console.error("Dashboard store unreadable, starting empty:", err.message);
+    dashboards = new Map();
+  }
+}
+
+// Write to a temp file and rename, so a crash mid-write can't corrupt the store
+function persist() {
+  fs.mkdirSync(path.dirname(STORE_PATH), { recursive: true });
+  const tmpPath = `${STORE_PATH}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify({ dashboards: [...dashboards.values()] }, null, 2));
+  fs.renameSync(tmpPath, STORE_PATH);
+}
+
+function slugify(name) {
+  return String(name)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+function uniqueId(base) {
+  const root = slugify(base) || "dashboard";
+  let id = root;
+  for (let n = 2; dashboards.has(id); n++) id = `${root}-${n}`;
+  return id;
+}
+
+const latestVersion = (dashboard) => dashboard.versions[dashboard.versions.length - 1];
+
+function getDashboard(id) {
+  return dashboards.get(id) || null;
+}
+
+function findDefault(dataset) {
+  return [...dashboards.values()].find((d) => d.isDefault && d.datasetHash === dataset.hash) || null;
+}
+
+function listDashboards(dataset) {
+  return [...dashboards.values()]
+    .filter((d) => d.datasetHash === dataset.hash)
+    .sort((a, b) => Number(b.isDefault) - Number(a.isDefault) || a.name.localeCompare(b.name))
+    .map(describeDashboard);
+}
+
+function createDashboard({ name, dataset, recipes, isDefault = false, note = "Created" }) {
+  const now = new Date().toISOString();
+  const dashboard = {
+    id: uniqueId(isDefault ? `${dataset.id}-${dataset.hash.slice(0, 8)}` : name),
+    name: isDefault ? "Default" : name,
+    datasetId: dataset.id,
+    datasetHash: dataset.hash,
+    isDefault,
+    createdAt: now,
+    updatedAt: now,
+    versions: [{ version: 1, recipes, note, createdAt: now }],
+  };
+  dashboards.set(dashboard.id, dashboard);
+  persist();
+  return dashboard;
+}
+
+function saveVersion(dashboard, recipes, note = "Edited") {
+  const now = new Date().toISOString();
+  dashboard.versions.push({ version: latestVersion(dashboard).version + 1, recipes, note, createdAt: now });
+  if (dashboard.versions.length > MAX_VERSIONS) dashboard.versions.shift();
+  dashboard.updatedAt = now;
+  persist();
+  return dashboard;
+}
+
+function describeDashboard(dashboard) {
+  return {
+    id: dashboard.id,
+    name: dashboard.name,
+    datasetId: dashboard.datasetId,
+    isDefault: dashboard.isDefault,
+    version: latestVersion(dashboard).version,
+    updatedAt: dashboard.updatedAt,
+  };
+}
+
+// Full view for the client: recipes of the requested (default: latest) version plus the history
+function dashboardView(dashboard, version) {
+  const current = version
+    ? dashboard.versions.find((v) => v.version === Number(version))
+    : latestVersion(dashboard);
+  if (!current) return null;
+  return {
+    ...describeDashboard(dashboard),
+    viewingVersion: current.version,
+    recipes: current.recipes,
+    versions: dashboard.versions.map((v) => ({ version: v.version, note: v.note, createdAt: v.createdAt })),
+  };
+}
+
+load();
+
+module.exports = {
+  getDashboard,
+  findDefault,
+  listDashboards,
+  createDashboard,
+  saveVersion,
+  dashboardView,
+};
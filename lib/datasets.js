@@ -0,0 +1,200 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const Papa = require("papaparse");
+const { isMissing, profileDataset, describeProfile } = require("./profile");
+const { buildColumnStore, selectRows, readRecords } = require("./columnar");
+
+// --- Dataset registry ---
+// Every loaded CSV/TSV gets its column split, summary and dashboard state, with its cells held
+// in a column store (with categorical indexes); the parsed rows are dropped after loading.
+// Uploads are kept under data/uploads so they (and their saved dashboards) survive restarts.
+const UPLOAD_DIR = process.env.UPLOAD_DIR || path.join(__dirname, "..", "data", "uploads");
+const MANIFEST_PATH = path.join(UPLOAD_DIR, "index.json");
+// User-set category orders, keyed by dataset hash and then column
+const ORDER_STORE = process.env.ORDER_STORE || path.join(__dirname, "..", "data", "column-orders.json");
+
+const datasets = new Map();
+let defaultDatasetId = null;
+
+function slugify(name) {
+  return String(name)
+    .toLowerCase()
+    .replace(/\.(csv|tsv|txt)$/, "")
+    .replace(/[^a-z0-9]+/g, "_")
+    .replace(/^_+|_+$/g, "");
+}
+
+function uniqueId(name) {
+  const base = slugify(name) || "dataset";
+  let id = base;
+  for (let n = 2; datasets.has(id); n++) id = `${base}_${n}`;
+  return id;
+}
+
+// Build a summary for Claude: profiled columns + correlations + sample rows
+function buildSummary(rows, profile) {
+  return [describeProfile(profile), "", "Sample rows (first 5):", JSON.stringify(rows.slice(0, 5), null, 2)].join("\n");
+}
+
+function isTsv(name) {
+  return /\.tsv$/i.test(name);
+}
+
+function addDataset(name, text, { delimiter, id } = {}) {
+  const parsed = Papa.parse(text, {
+    header: true,
+    skipEmptyLines: true,
+    delimiter: delimiter || (isTsv(name) ? "\t" : ""),
+  });
+  const rows = parsed.data;
+  const columns = (parsed.meta.fields || []).filter(Boolean);
+
+  if (columns.length === 0 || rows.length === 0) {
+    throw new Error("File has no header row or no data rows");
+  }
+
+  const numericCols = [];
+  const categoricalCols = [];
+
+  columns.forEach((col) => {
+    // Missing markers (NA, null, …) don't stop a column being numeric, same as the profile
+    const values = rows.map((r) => r[col]).filter((v) => !isMissing(v));
+    const nums = values.map(Number).filter((n) => !Number.isNaN(n));
+    if (nums.length === values.length && values.length > 0) {
+      numericCols.push(col);
+    } else {
+      categoricalCols.push(col);
+    }
+  });
+
+  const profile = profileDataset(rows, columns);
+  const dataset = {
+    id: id || uniqueId(name),
+    name: String(name).replace(/\.(csv|tsv|txt)$/i, ""),
+    hash: crypto.createHash("sha1").update(text).digest("hex").slice(0, 16),
+    columns,
+    numericCols,
+    categoricalCols,
+    store: buildColumnStore(rows, columns, categoricalCols),
+    profile,
+    summary: buildSummary(rows, profile),
+    dashboardReady: false,
+    createdAt: new Date().toISOString(),
+  };
+
+  datasets.set(dataset.id, dataset);
+  if (!defaultDatasetId) defaultDatasetId = dataset.id;
+
+  console.log(`Loaded dataset "${dataset.id}": ${rows.length} rows, ${columns.length} columns`);
+  return dataset;
+}
+
+function loadFile(filePath) {
+  const text = fs.readFileSync(filePath, "utf-8");
+  return addDataset(path.basename(filePath), text);
+}
+
+function readManifest() {
+  try {
+    return JSON.parse(fs.readFileSync(MANIFEST_PATH, "utf-8"));
+  } catch (err) {
+    return [];
+  }
+}
+
+// Parse an uploaded file and keep a copy on disk
+function saveUpload(name, text, { delimiter } = {}) {
+  const dataset = addDataset(name, text, { delimiter });
+  const file = `${dataset.id}${delimiter === "\t" || isTsv(name) ? ".tsv" : ".csv"}`;
+
+  fs.mkdirSync(UPLOAD_DIR, { recursive: true });
+  fs.writeFileSync(path.join(UPLOAD_DIR, file), text);
+  const manifest = readManifest().filter((entry) => entry.id !== dataset.id);
+  manifest.push({ id: dataset.id, name, file, delimiter: delimiter || null, createdAt: dataset.createdAt });
+  fs.writeFileSync(MANIFEST_PATH, JSON.stringify(manifest, null, 2));
+  return dataset;
+}
+
+// Reload every upload kept from earlier runs; returns the datasets
+function loadUploads() {
+  return readManifest().flatMap((entry) => {
+    try {
+      const text = fs.readFileSync(path.join(UPLOAD_DIR, entry.file), "utf-8");
+      const dataset = addDataset(entry.name, text, { delimiter: entry.delimiter || undefined, id: entry.id });
+      dataset.createdAt = entry.createdAt;
+      return [dataset];
+    } catch (err) {
+      console.error(`Could not reload upload "${entry.id}":`, err.message);
+      return [];
+    }
+  });
+}
+
+function readOrders() {
+  try {
+    return JSON.parse(fs.readFileSync(ORDER_STORE, "utf-8"));
+  } catch (err) {
+    return {};
+  }
+}
+
+// Category order per column: the user's choice where set, otherwise the inferred ordinal order
+function columnOrders(dataset) {
+  const orders = {};
+  for (const column of dataset.profile.columns) {
+    if (column.order) orders[column.name] = column.order;
+  }
+  return { ...orders, ...(readOrders()[dataset.hash] || {}) };
+}
+
+// Save (or with a null order, reset) the user's category order for a column
+function setColumnOrder(dataset, column, order) {
+  const stored = readOrders();
+  const forDataset = { ...(stored[dataset.hash] || {}) };
+  if (order) forDataset[column] = order;
+  else delete forDataset[column];
+  stored[dataset.hash] = forDataset;
+
+  fs.mkdirSync(path.dirname(ORDER_STORE), { recursive: true });
+  fs.writeFileSync(ORDER_STORE, JSON.stringify(stored, null, 2));
+  return columnOrders(dataset);
+}
+
+// Missing id falls back to the default dataset; unknown id returns null
+function getDataset(id) {
+  return datasets.get(id || defaultDatasetId) || null;
+}
+
+// Row records (column → cell) passing `filters` (validated query filters), read from the store
+function datasetRows(dataset, filters = []) {
+  return readRecords(dataset.store, selectRows(dataset.store, filters), dataset.columns);
+}
+
+function describeDataset(dataset) {
+  return {
+    id: dataset.id,
+    name: dataset.name,
+    rowCount: dataset.store.length,
+    columnCount: dataset.columns.length,
+    createdAt: dataset.createdAt,
+    dashboardReady: dataset.dashboardReady,
+    isDefault: dataset.id === defaultDatasetId,
+  };
+}
+
+function listDatasets() {
+  return [...datasets.values()].map(describeDataset);
+}
+
+module.exports = {
+  loadFile,
+  saveUpload,
+  loadUploads,
+  getDataset,
+  datasetRows,
+  describeDataset,
+  listDatasets,
+  columnOrders,
+  setColumnOrder,
+};
@@ -0,0 +1,269 @@
+const { isMissing, measureColumns } = require("./profile");
+const { runTest, StatsError } = require("./stats");
+const { validateRecipe } = require("./recipes");
+const { datasetRows } = require("./datasets");
+
+// --- Insight miner ---
+// Scans the full dataset (not the five-row sample the models see) for findings worth a look:
+// group differences, strong correlations, outliers, skewed distributions and Simpson's-paradox
+// reversals. Each finding carries its evidence, a 0–1 score used for ranking, and a dashboard
+// recipe for the chart that shows it.
+
+const GROUP_TYPES = ["categorical", "ordinal", "boolean"];
+const MAX_GROUPS = 12;
+const MIN_GROUP_SIZE = 5;
+const MAX_SIMPSON_GROUPS = 6;
+const MIN_SIMPSON_GROUP_SIZE = 10;
+const MAX_INSIGHTS = 10;
+// So one kind of finding (usually group differences) can't crowd out the rest
+const MAX_PER_KIND = 4;
+
+const round = (n, digits = 2) => Number(n.toFixed(digits));
+const mean = (xs) => xs.reduce((a, b) => a + b, 0) / xs.length;
+const formatP = (p) => (p < 0.001 ? "p < 0.001" : `p = ${round(p, 3)}`);
+
+function numbers(rows, column) {
+  return rows.map((r) => r[column]).filter((v) => !isMissing(v)).map(Number).filter(Number.isFinite);
+}
+
+function pearson(xs, ys) {
+  const mx = mean(xs);
+  const my = mean(ys);
+  let sxy = 0;
+  let sxx = 0;
+  let syy = 0;
+  for (let i = 0; i < xs.length; i++) {
+    sxy += (xs[i] - mx) * (ys[i] - my);
+    sxx += (xs[i] - mx) ** 2;
+    syy += (ys[i] - my) ** 2;
+  }
+  return sxx === 0 || syy === 0 ? null : sxy / Math.sqrt(sxx * syy);
+}
+
+function pairs(rows, a, b) {
+  const xs = [];
+  const ys = [];
+  for (const row of rows) {
+    const x = Number(row[a]);
+    const y = Number(row[b]);
+    if (isMissing(row[a]) || isMissing(row[b]) || !Number.isFinite(x) || !Number.isFinite(y)) continue;
+    xs.push(x);
+    ys.push(y);
+  }
+  return { xs, ys };
+}
+
+// Group columns with a manageable number of values, and those values with enough rows
+function groupColumns(dataset) {
+  return dataset.profile.columns
+    .filter((c) => GROUP_TYPES.includes(c.type) && c.distinct >= 2 && c.distinct <= MAX_GROUPS)
+    .map((c) => c.name);
+}
+
+function bigGroups(rows, column, minSize) {
+  const counts = new Map();
+  for (const row of rows) {
+    if (isMissing(row[column])) continue;
+    const key = String(row[column]);
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+  return [...counts.entries()].filter(([, n]) => n >= minSize).map(([name]) => name);
+}
+
+// --- Finding kinds ---
+function groupDifferences(dataset, rows, measures) {
+  const findings = [];
+  for (const group of groupColumns(dataset)) {
+    const groups = bigGroups(rows, group, MIN_GROUP_SIZE);
+    if (groups.length < 2) continue;
+    for (const measure of measures) {
+      let result;
+      try {
+        result = runTest({ test: "kruskal_wallis", groupColumn: group, valueColumn: measure, groups }, rows, dataset);
+      } catch (err) {
+        if (err instanceof StatsError) continue;
+        throw err;
+      }
+      const effect = result.effectSize.value;
+      if (!(result.pValue < 0.01 && effect >= 0.06)) continue;
+
+      const byMedian = [...result.groups].sort((a, b) => b.median - a.median);
+      const high = byMedian[0];
+      const low = byMedian[byMedian.length - 1];
+      findings.push({
+        kind: "group_difference",
+        columns: [group, measure],
+        title: `${measure} differs by ${group}: ${high.group} is highest, ${low.group} lowest`,
+        evidence: [
+          `Median ${measure}: ${high.group} ${high.median} (n = ${high.n}) vs ${low.group} ${low.median} (n = ${low.n})`,
+          `Kruskal-Wallis ${formatP(result.pValue)}, epsilon² = ${effect}`,
+        ],
+        score: Math.min(1, 0.3 + effect),
+        recipe: { type: "box", title: `${measure} by ${group}`, xColumn: group, yColumn: measure, aggregation: "none" },
+      });
+    }
+  }
+  return findings;
+}
+
+function strongCorrelations(dataset, rows) {
+  const findings = [];
+  for (const c of dataset.profile.correlations.filter((p) => Math.abs(p.r) >= 0.5)) {
+    let result;
+    try {
+      result = runTest({ test: "pearson", xColumn: c.a, yColumn: c.b }, rows, dataset);
+    } catch (err) {
+      if (err instanceof StatsError) continue;
+      throw err;
+    }
+    findings.push({
+      kind: "correlation",
+      columns: [c.a, c.b],
+      title: `${c.a} and ${c.b} move ${c.r > 0 ? "together" : "in opposite directions"}`,
+      evidence: [`Pearson r = ${result.effectSize.value} (95% CI ${result.ci95[0]} to ${result.ci95[1]}), ${formatP(result.pValue)}, n = ${result.n}`],
+      score: Math.abs(c.r),
+      recipe: { type: "scatter", title: `${c.b} vs ${c.a}`, xColumn: c.a, yColumn: c.b, aggregation: "none", trendline: true },
+    });
+  }
+  return findings;
+}
+
+// Values beyond 3 IQRs from the quartiles ("far out" in Tukey's terms)
+function outliers(dataset, rows, measures) {
+  const findings = [];
+  for (const measure of measures) {
+    const column = dataset.profile.columns.find((c) => c.name === measure);
+    const iqr = column.q3 - column.q1;
+    if (!(iqr > 0)) continue;
+    const low = column.q1 - 3 * iqr;
+    const high = column.q3 + 3 * iqr;
+    const values = numbers(rows, measure);
+    const far = values.filter((v) => v < low || v > high);
+    if (far.length === 0) continue;
+
+    const extreme = far.reduce((a, b) => (Math.abs(b - column.median) > Math.abs(a - column.median) ? b : a));
+    findings.push({
+      kind: "outliers",
+      columns: [measure],
+      title: `${measure} has ${far.length} extreme value${far.length === 1 ? "" : "s"}`,
+      evidence: [
+        `${far.length} of ${values.length} values fall outside ${round(low)}–${round(high)} (3 IQRs beyond the quartiles)`,
+        `Most extreme: ${extreme}, against a median of ${column.median}`,
+      ],
+      score: Math.min(0.8, 0.4 + (far.length / values.length) * 4),
+      recipe: { type: "histogram", title: `Distribution of ${measure}`, xColumn: measure, yColumn: null, aggregation: "count" },
+    });
+  }
+  return findings;
+}
+
+function skewedDistributions(dataset, rows, measures) {
+  const findings = [];
+  for (const measure of measures) {
+    const values = numbers(rows, measure);
+    if (values.length < 20) continue;
+    const m = mean(values);
+    const m2 = mean(values.map((v) => (v - m) ** 2));
+    if (m2 === 0) continue;
+    const skew = mean(values.map((v) => (v - m) ** 3)) / m2 ** 1.5;
+    if (Math.abs(skew) < 1) continue;
+
+    const column = dataset.profile.columns.find((c) => c.name === measure);
+    findings.push({
+      kind: "skew",
+      columns: [measure],
+      title: `${measure} is ${skew > 0 ? "right" : "left"}-skewed`,
+      evidence: [`Skewness ${round(skew)}; mean ${column.mean} vs median ${column.median}`],
+      score: Math.min(0.7, Math.abs(skew) / 4),
+      recipe: { type: "histogram", title: `Distribution of ${measure}`, xColumn: measure, yColumn: null, aggregation: "count" },
+    });
+  }
+  return findings;
+}
+
+// A relationship that flips sign inside every (or nearly every) group of a third column
+function simpsonReversals(dataset, rows, measures) {
+  const findings = [];
+  const groupCols = groupColumns(dataset);
+  for (let i = 0; i < measures.length; i++) {
+    for (let j = i + 1; j < measures.length; j++) {
+      const [a, b] = [measures[i], measures[j]];
+      const overall = pairs(rows, a, b);
+      const r = overall.xs.length > 3 ? pearson(overall.xs, overall.ys) : null;
+      if (r == null || Math.abs(r) < 0.1) continue;
+
+      for (const group of groupCols) {
+        const names = bigGroups(rows, group, MIN_SIMPSON_GROUP_SIZE);
+        if (names.length < 2 || names.length > MAX_SIMPSON_GROUPS) continue;
+        const within = names
+          .map((name) => {
+            const p = pairs(rows.filter((row) => String(row[group]) === name), a, b);
+            return { name, n: p.xs.length, r: pearson(p.xs, p.ys) };
+          })
+          .filter((g) => g.r != null);
+        if (within.length < 2) continue;
+
+        const total = within.reduce((sum, g) => sum + g.n, 0);
+        const pooled = within.reduce((sum, g) => sum + g.r * g.n, 0) / total;
+        const flipped = within.filter((g) => Math.sign(g.r) !== Math.sign(r)).length;
+        if (Math.sign(pooled) === Math.sign(r) || Math.abs(pooled) < 0.2 || flipped < within.length * (2 / 3)) continue;
+
+        findings.push({
+          kind: "simpson",
+          columns: [a, b, group],
+          title: `${a} vs ${b} reverses within ${group} groups`,
+          evidence: [
+            `Overall r = ${round(r)}, but the ${group}-weighted within-group r = ${round(pooled)}`,
+            within.map((g) => `${g.name}: r = ${round(g.r)} (n = ${g.n})`).join("; "),
+          ],
+          score: Math.min(1, 0.7 + Math.abs(pooled - r) / 2),
+          recipe: { type: "scatter", title: `${b} vs ${a} by ${group}`, xColumn: a, yColumn: b, colorColumn: group, aggregation: "none", trendline: true },
+        });
+      }
+    }
+  }
+  return findings;
+}
+
+// Several findings about the same columns say the same thing; keep the strongest
+function dedupe(findings) {
+  const best = new Map();
+  for (const finding of findings) {
+    // A reversal supersedes the plain correlation of the same pair
+    const key = (finding.kind === "simpson" ? finding.columns.slice(0, 2) : finding.columns).slice().sort().join("\u0000");
+    const current = best.get(key);
+    if (!current || finding.score > current.score) best.set(key, finding);
+  }
+  return [...best.values()];
+}
+
+// Ranked, de-duplicated findings, each with an id, evidence and a valid chart recipe
+function mineInsights(dataset, { limit = MAX_INSIGHTS } = {}) {
+  const measures = measureColumns(dataset.profile);
+  const rows = datasetRows(dataset);
+  const findings = [
+    ...groupDifferences(dataset, rows, measures),
+    ...strongCorrelations(dataset, rows),
+    ...outliers(dataset, rows, measures),
+    ...skewedDistributions(dataset, rows, measures),
+    ...simpsonReversals(dataset, rows, measures),
+  ];
+
+  const perKind = new Map();
+  return dedupe(findings)
+    .filter((f) => validateRecipe(f.recipe, dataset).length === 0)
+    .sort((a, b) => b.score - a.score)
+    .filter((f) => {
+      perKind.set(f.kind, (perKind.get(f.kind) || 0) + 1);
+      return perKind.get(f.kind) <= MAX_PER_KIND;
+    })
+    .slice(0, limit)
+    .map((f) => ({
+      ...f,
+      id: `${f.kind}:${f.columns.join("|")}`,
+      score: round(f.score),
+      recipe: { ...f.recipe, description: f.title },
+    }));
+}
+
+module.exports = { mineInsights };
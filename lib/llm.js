@@ -0,0 +1,154 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const responseCache = require("./responseCache");
+const usage = require("./usage");
+
+// --- Model backends ---
+// Every model call goes through here, named by its task, so the backend and each task's
+// model settings come from config instead of code:
+//   LLM_PROVIDER=anthropic (default) | mock     mock replays recordings or scripted replies offline
+//   LLM_MODEL                                   default model for every task
+//   LLM_<TASK>_MODEL / _MAX_TOKENS / _TEMPERATURE, e.g. LLM_CHAT_TEMPERATURE=0.2
+//   LLM_RECORD=1                                save real responses to LLM_RECORDINGS for the mock
+// Calls are answered from the response cache when they can be, and each one is logged with its
+// tokens, latency and estimated cost.
+
+const DEFAULT_MODEL = "claude-sonnet-4-5-20250929";
+const TASKS = {
+  dashboard: { maxTokens: 4096 },
+  card: { maxTokens: 4096 },
+  insights: { maxTokens: 4096 },
+  chat: { maxTokens: 4096 },
+};
+const PROVIDERS = ["anthropic", "mock"];
+const RECORDINGS_PATH = process.env.LLM_RECORDINGS || path.join(__dirname, "..", "data", "llm-recordings.json");
+
+class ConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ConfigError";
+    this.code = "invalid_config";
+  }
+}
+
+function readNumber(name, { integer = false, min = 0, max = Infinity } = {}) {
+  const raw = process.env[name];
+  if (raw == null || raw === "") return undefined;
+  const value = Number(raw);
+  if (!Number.isFinite(value) || value < min || value > max || (integer && !Number.isInteger(value))) {
+    throw new ConfigError(`${name} must be ${integer ? "a whole number" : "a number"} from ${min} to ${max} (got "${raw}")`);
+  }
+  return value;
+}
+
+// Model, max_tokens and (when set) temperature for each task
+function readTaskSettings() {
+  return Object.fromEntries(
+    Object.entries(TASKS).map(([task, defaults]) => {
+      const prefix = `LLM_${task.toUpperCase()}`;
+      const settings = {
+        model: process.env[`${prefix}_MODEL`] || process.env.LLM_MODEL || DEFAULT_MODEL,
+        max_tokens: readNumber(`${prefix}_MAX_TOKENS`, { integer: true, min: 1 }) ?? defaults.maxTokens,
+      };
+      const temperature = readNumber(`${prefix}_TEMPERATURE`, { max: 1 });
+      if (temperature !== undefined) settings.temperature = temperature;
+      return [task, settings];
+    })
+  );
+}
+
+// --- Recordings: real responses keyed by the request that produced them ---
+function requestKey(task, params) {
+  const { system, messages, tool_choice: toolChoice, tools = [] } = params;
+  const text = JSON.stringify({ task, system, messages, toolChoice, tools: tools.map((t) => t.name) });
+  return crypto.createHash("sha1").update(text).digest("hex");
+}
+
+function readRecordings() {
+  try {
+    return JSON.parse(fs.readFileSync(RECORDINGS_PATH, "utf-8")).recordings || [];
+  } catch (err) {
+    if (err.code !== "ENOENT") console.error("LLM recordings unreadable, ignoring them:", err.message);
+    return [];
+  }
+}
+
+function saveRecording(task, params, message) {
+  const recordings = readRecordings().filter((r) => r.key !== requestKey(task, params));
+  recordings.push({ task, key: requestKey(task, params), response: { content: message.content, stop_reason: message.stop_reason } });
+  fs.mkdirSync(path.dirname(RECORDINGS_PATH), { recursive: true });
+  const tmpPath = `${RECORDINGS_PATH}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify({ recordings }, null, 2));
+  fs.renameSync(tmpPath, RECORDINGS_PATH);
+}
+
+// --- Providers: create(params, { task }) and stream(params, { signal, onText, task }) resolve to a message ---
+function anthropicProvider() {
+  const Anthropic = require("@anthropic-ai/sdk").default;
+  const client = new Anthropic();
+  return {
+    create: (params) => client.messages.create(params),
+    stream: (params, { signal, onText } = {}) => {
+      const stream = client.messages.stream(params, { signal });
+      if (onText) stream.on("text", onText);
+      return stream.finalMessage();
+    },
+  };
+}
+
+function createProvider(name) {
+  if (!PROVIDERS.includes(name)) throw new ConfigError(`LLM_PROVIDER must be one of ${PROVIDERS.join(", ")} (got "${name}")`);
+  if (name === "mock") return require("./mockLlm").createMockProvider({ recordings: readRecordings(), requestKey });
+  return anthropicProvider();
+}
+
+const providerName = (process.env.LLM_PROVIDER || "anthropic").trim().toLowerCase();
+const taskSettings = readTaskSettings();
+const provider = createProvider(providerName);
+const recording = process.env.LLM_RECORD === "1" && providerName !== "mock";
+
+function paramsFor(task, params) {
+  if (!taskSettings[task]) throw new ConfigError(`Unknown model task: ${task}`);
+  return { ...taskSettings[task], ...params };
+}
+
+// Cache lookup, the provider call on a miss, and the usage log line either way.
+// options: { datasetHash, endpoint, onText } — onText replays cached text too.
+async function callModel(task, request, { datasetHash, endpoint, onText }, call) {
+  const key = responseCache.ENABLED && providerName !== "mock" ? responseCache.cacheKey(task, datasetHash, request) : null;
+  const started = Date.now();
+  const log = (message, cached) =>
+    usage.recordCall({ task, endpoint, provider: providerName, model: message.model || request.model, usage: message.usage, latencyMs: Date.now() - started, cached });
+
+  const cached = key && responseCache.getResponse(key);
+  if (cached) {
+    if (onText) cached.content.filter((b) => b.type === "text").forEach((b) => onText(b.text));
+    log(cached, true);
+    return cached;
+  }
+
+  const message = await call();
+  log(message, false);
+  if (recording) saveRecording(task, request, message);
+  if (key) responseCache.setResponse(key, { task, datasetHash }, message);
+  return message;
+}
+
+// One complete response for `task` (dashboard, card, insights or chat)
+function createMessage(task, params, { datasetHash, endpoint } = {}) {
+  const request = paramsFor(task, params);
+  return callModel(task, request, { datasetHash, endpoint }, () => provider.create(request, { task }));
+}
+
+// Streamed response: onText gets each text delta, the promise the final message
+function streamMessage(task, params, { signal, onText, datasetHash, endpoint } = {}) {
+  const request = paramsFor(task, params);
+  return callModel(task, request, { datasetHash, endpoint, onText }, () => provider.stream(request, { signal, onText, task }));
+}
+
+function describeBackend() {
+  return { provider: providerName, recording, tasks: taskSettings, cache: responseCache.cacheStats() };
+}
+
+module.exports = { TASKS, ConfigError, createMessage, streamMessage, describeBackend };
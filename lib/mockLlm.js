@@ -0,0 +1,171 @@
+// --- Offline mock model ---
+// Stands in for the Anthropic API when LLM_PROVIDER=mock. A request replays the first match from
+// the recordings file: an entry with the request's exact key (saved by LLM_RECORD=1), or a scripted
+// entry { task, match, response } whose `match` appears in the question. Anything else gets a
+// deterministic scripted reply built from the dataset summary in the prompt, so dashboards, card
+// regeneration, insight narration and chat (including a query/chart tool round) all work offline.
+
+const MAX_CARD_CATEGORIES = 12;
+
+const contentText = (content) =>
+  typeof content === "string" ? content : content.filter((b) => b.type === "text").map((b) => b.text).join("\n");
+
+// The question that started this exchange (the last user turn that isn't tool results)
+function lastQuestion(messages) {
+  for (let i = messages.length - 1; i >= 0; i--) {
+    const { role, content } = messages[i];
+    if (role === "user" && (typeof content === "string" || content.some((b) => b.type === "text"))) return contentText(content);
+  }
+  return "";
+}
+
+// Columns from the dataset summary's "  name [type]: ..." lines
+function summaryColumns(text) {
+  const numeric = [];
+  const categorical = [];
+  for (const [, name, type, rest] of text.matchAll(/^ {2}(.+?) \[(\w[\w ]*)\]: (.*)$/gm)) {
+    if (type === "integer" || type === "numeric") {
+      if (!numeric.includes(name)) numeric.push(name);
+    } else if (["categorical", "ordinal", "boolean"].includes(type)) {
+      const count = Number((rest.match(/^(\d+) (?:unique values|levels)/) || [])[1]);
+      if (count >= 2 && count <= MAX_CARD_CATEGORIES && !categorical.includes(name)) categorical.push(name);
+    }
+  }
+  return { numeric, categorical };
+}
+
+// Recipes in the order a dashboard would want them, skipping any the columns can't support
+function candidateRecipes({ numeric, categorical }) {
+  const [n1, n2] = numeric;
+  const [c1, c2] = categorical;
+  const recipe = (title, type, xColumn, yColumn, aggregation, extra = {}) =>
+    ({ title, description: `${title} (scripted by the offline mock model).`, type, xColumn, yColumn, aggregation, ...extra });
+  return [
+    c1 && recipe(`Share of ${c1}`, "pie", c1, null, "count"),
+    c1 && n1 && recipe(`Average ${n1} by ${c1}`, "bar", c1, n1, "average"),
+    n1 && n2 && recipe(`${n2} vs ${n1}`, "scatter", n1, n2, "none", { trendline: true }),
+    n1 && recipe(`Distribution of ${n1}`, "histogram", n1, null, "count"),
+    (c2 || c1) && (n2 || n1) && recipe(`${n2 || n1} by ${c2 || c1}`, "box", c2 || c1, n2 || n1, "none"),
+    numeric.length >= 2 && recipe("Correlation matrix", "correlation", null, null, "none"),
+    c2 && recipe(`Rows by ${c2}`, "bar", c2, null, "count"),
+    c1 && c2 && recipe(`${c1} by ${c2}`, "heatmap", c1, c2, "count"),
+  ].filter(Boolean);
+}
+
+function scriptRecipes(params) {
+  const question = lastQuestion(params.messages);
+  const candidates = candidateRecipes(summaryColumns(question));
+  // Card regeneration: one recipe the current dashboard doesn't already have
+  const current = question.match(/Current dashboard:\n([\s\S]*?)\n\nReplace card/);
+  if (current) {
+    const fresh = candidates.find((r) => !current[1].includes(`. ${r.title} (`));
+    return { recipes: [fresh || candidates[0]].filter(Boolean) };
+  }
+  return { recipes: candidates.slice(0, 6) };
+}
+
+function scriptInsights(params) {
+  const question = lastQuestion(params.messages);
+  const insights = [...question.matchAll(/^- id: (.+)\n {2}(.+)\n {2}(.+)$/gm)].map(([, id, title, evidence]) => ({
+    id,
+    headline: title,
+    narrative: `${evidence}.`,
+  }));
+  return { insights };
+}
+
+// Chat: count rows by the first categorical column the question names, chart it in
+// visualization mode, then answer from the tool results
+function scriptChat(params) {
+  const { messages, system = "" } = params;
+  const question = lastQuestion(messages);
+  const toolNames = (params.tools || []).map((t) => t.name);
+  const canCallTools = !params.tool_choice || params.tool_choice.type !== "none";
+  const results = messages
+    .filter((m) => m.role === "user" && typeof m.content !== "string")
+    .map((m) => m.content.filter((b) => b.type === "tool_result"))
+    .filter((round) => round.length > 0);
+  const rounds = results.length;
+
+  const { categorical } = summaryColumns(system);
+  const column = categorical.find((name) => question.toLowerCase().includes(name.toLowerCase()));
+  const query = column ? { groupBy: [column], aggregates: [{ op: "count" }] } : null;
+
+  if (query && canCallTools && rounds === 0 && toolNames.includes("query")) {
+    return { toolUse: { name: "query", input: { query } } };
+  }
+  if (query && canCallTools && rounds === 1 && /Visualization mode is ON/.test(system) && toolNames.includes("create_chart")) {
+    return { toolUse: { name: "create_chart", input: { type: "bar", title: `Rows by ${column}`, query, xColumn: column, yColumn: "count" } } };
+  }
+  if (rounds > 0) {
+    const output = results.flat().map((r) => (typeof r.content === "string" ? r.content : contentText(r.content))).join("\n");
+    return { text: `Offline mock answer to "${question}". The tools returned:\n\n${output.slice(0, 1500)}` };
+  }
+  return { text: `Offline mock answer to "${question}". The mock model only runs scripted queries; name a column with a few categories (e.g. "count by ${categorical[0] || "a column"}") to see one.` };
+}
+
+function scriptedReply(params, task) {
+  const forced = params.tool_choice && params.tool_choice.type === "tool" ? params.tool_choice.name : null;
+  if (forced === "create_dashboard_recipes") return { toolUse: { name: forced, input: scriptRecipes(params) } };
+  if (forced === "narrate_insights") return { toolUse: { name: forced, input: scriptInsights(params) } };
+  if (forced) return { toolUse: { name: forced, input: {} } };
+  if (task === "chat") return scriptChat(params);
+  return { text: "Offline mock reply." };
+}
+
+const estimateTokens = (value) => Math.ceil(JSON.stringify(value || "").length / 4);
+
+function createMockProvider({ recordings, requestKey }) {
+  let counter = 0;
+
+  function respond(params, task) {
+    const key = requestKey(task, params);
+    const question = lastQuestion(params.messages);
+    // Scripted entries answer the question itself, not the tool rounds after it
+    const asked = typeof params.messages[params.messages.length - 1].content === "string";
+    const entry =
+      recordings.find((r) => r.key === key) ||
+      recordings.find((r) => r.match && r.task === task && asked && question.includes(r.match));
+
+    counter += 1;
+    let content;
+    let stopReason;
+    if (entry) {
+      content = entry.response.content;
+      stopReason = entry.response.stop_reason;
+    } else {
+      const reply = scriptedReply(params, task);
+      content = reply.toolUse
+        ? [{ type: "tool_use", id: `toolu_mock_${counter}`, name: reply.toolUse.name, input: reply.toolUse.input }]
+        : [{ type: "text", text: reply.text }];
+      stopReason = reply.toolUse ? "tool_use" : "end_turn";
+    }
+    return {
+      id: `msg_mock_${counter}`,
+      type: "message",
+      role: "assistant",
+      model: params.model,
+      content,
+      stop_reason: stopReason,
+      usage: { input_tokens: estimateTokens([params.system, params.messages]), output_tokens: estimateTokens(content) },
+    };
+  }
+
+  return {
+    create: async (params, { task } = {}) => respond(params, task),
+    // Text goes out word by word, like a real stream
+    stream: async (params, { signal, onText, task } = {}) => {
+      const message = respond(params, task);
+      for (const block of message.content.filter((b) => b.type === "text")) {
+        for (const piece of block.text.match(/\S+\s*|\s+/g) || []) {
+          if (signal && signal.aborted) throw new Error("Request was aborted.");
+          if (onText) onText(piece);
+          await new Promise((resolve) => setImmediate(resolve));
+        }
+      }
+      return message;
+    },
+  };
+}
+
+module.exports = { createMockProvider };
@@ -0,0 +1,256 @@
+// --- Column profiling ---
+// Infers a semantic type for every column (numeric, integer, boolean, ordinal range or
+// scale, date, id, free text or plain categorical) and collects the stats the summary,
+// the "Data profile" tab and chart ordering rely on.
+
+const TOP_K = 5;
+// Share of non-missing values that must parse for a type to stick
+const MATCH_SHARE = 0.9;
+const MAX_ORDINAL_LEVELS = 50;
+const BOOLEAN_PAIRS = [["yes", "no"], ["true", "false"], ["y", "n"], ["t", "f"], ["1", "0"]];
+
+// Blank cells and the usual missing-value markers; every module that asks "is this cell a value?" uses this
+const isMissing = (v) => v == null || String(v).trim() === "" || /^(na|n\/a|null|nan)$/i.test(String(v).trim());
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// "75000-100000", "$50k–75k", "<30000", "under 18", "150000+", "65 and over" → sortable lower bound
+function parseBound(text) {
+  const n = Number(text.replace(/[$,\s]/g, "").replace(/k$/i, ""));
+  if (Number.isNaN(n)) return NaN;
+  return /k$/i.test(text.trim()) ? n * 1000 : n;
+}
+
+function rangeKey(value) {
+  const v = String(value).trim();
+  const NUM = "\\$?\\s*\\d[\\d,]*(?:\\.\\d+)?\\s*[kK]?";
+  let m = v.match(new RegExp(`^(${NUM})\\s*(?:-|–|to)\\s*(${NUM})$`));
+  if (m) return parseBound(m[1]);
+  m = v.match(new RegExp(`^(?:<|<=|≤|under|less than|below|up to)\\s*(${NUM})$`, "i"));
+  if (m) return parseBound(m[1]) - 0.5;
+  m = v.match(new RegExp(`^(?:>|>=|≥|over|above|more than)\\s*(${NUM})$`, "i"));
+  if (m) return parseBound(m[1]) + 0.5;
+  m = v.match(new RegExp(`^(${NUM})\\s*(?:\\+|and (?:over|above|up)|or more)$`, "i"));
+  if (m) return parseBound(m[1]);
+  return NaN;
+}
+
+// Familiar ordered scales; "|" separates spellings of the same level
+const KNOWN_SCALES = [
+  ["micro|tiny", "small", "medium|mid|mid-size|midsize", "large", "enterprise|very large"],
+  ["xs|extra small", "s", "m", "l", "xl|extra large", "xxl"],
+  ["very low", "low", "medium|moderate", "high", "very high"],
+  ["none", "low", "moderate|medium", "high", "severe|critical"],
+  ["never", "rarely", "sometimes|occasionally", "often|frequently", "always"],
+  ["strongly disagree", "disagree", "neutral|neither agree nor disagree", "agree", "strongly agree"],
+  ["very dissatisfied", "dissatisfied", "neutral", "satisfied", "very satisfied"],
+  ["very unlikely", "unlikely", "neutral|unsure", "likely", "very likely"],
+  ["poor", "fair", "good", "very good", "excellent"],
+  ["no", "maybe|unsure|not sure", "yes"],
+  ["junior|entry|entry-level|entry level", "mid|mid-level|intermediate", "senior", "lead|principal", "executive|director"],
+  [
+    "none|no degree|less than high school",
+    "high school|high school diploma|ged",
+    "some college",
+    "associates|associate|associate's|associate degree",
+    "bachelors|bachelor|bachelor's|bachelor's degree|undergraduate",
+    "masters|master|master's|master's degree|mba|graduate",
+    "phd|doctorate|ph.d.|doctoral|professional",
+  ],
+].map((levels) => new Map(levels.flatMap((level, rank) => level.split("|").map((name) => [name, rank]))));
+
+// Rank lookup for the first known scale that covers every value, or null
+function matchScale(distinct) {
+  const values = [...distinct].map((v) => v.trim().toLowerCase());
+  const scale = KNOWN_SCALES.find((ranks) => values.every((v) => ranks.has(v)));
+  return scale ? (v) => scale.get(v.trim().toLowerCase()) : null;
+}
+
+const DATE_PATTERN = /^(\d{4}-\d{1,2}-\d{1,2}([ T]\d{1,2}:\d{2}(:\d{2})?.*)?|\d{1,2}\/\d{1,2}\/\d{2,4})$/;
+
+function quantile(sorted, q) {
+  const pos = (sorted.length - 1) * q;
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+function numericStats(nums) {
+  const sorted = [...nums].sort((a, b) => a - b);
+  const mean = nums.reduce((a, b) => a + b, 0) / nums.length;
+  const variance = nums.length > 1 ? nums.reduce((a, n) => a + (n - mean) ** 2, 0) / (nums.length - 1) : 0;
+  return {
+    min: sorted[0],
+    q1: round2(quantile(sorted, 0.25)),
+    median: round2(quantile(sorted, 0.5)),
+    q3: round2(quantile(sorted, 0.75)),
+    max: sorted[sorted.length - 1],
+    mean: round2(mean),
+    std: round2(Math.sqrt(variance)),
+  };
+}
+
+function topValues(values, k = TOP_K) {
+  const counts = new Map();
+  for (const v of values) counts.set(v, (counts.get(v) || 0) + 1);
+  return [...counts.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, k)
+    .map(([value, count]) => ({ value, count }));
+}
+
+function inferType(name, present, distinct, nums) {
+  const lower = new Set([...distinct].map((v) => v.trim().toLowerCase()));
+  if (lower.size === 2 && BOOLEAN_PAIRS.some((pair) => [...lower].every((v) => pair.includes(v)))) return "boolean";
+
+  const allUnique = distinct.size === present.length && present.length > 1;
+  if (allUnique && /(^|[_\s-])id$/i.test(name)) return "id";
+
+  if (nums.length === present.length) {
+    return nums.every(Number.isInteger) ? "integer" : "numeric";
+  }
+
+  if (distinct.size >= 2 && matchScale(distinct)) return "ordinal";
+
+  const ranged = present.filter((v) => !Number.isNaN(rangeKey(v)) || !Number.isNaN(Number(v)));
+  if (distinct.size >= 2 && distinct.size <= MAX_ORDINAL_LEVELS && ranged.length >= present.length * MATCH_SHARE) {
+    return "ordinal";
+  }
+
+  const dated = present.filter((v) => DATE_PATTERN.test(v.trim()) && !Number.isNaN(Date.parse(v)));
+  if (dated.length >= present.length * MATCH_SHARE) return "date";
+
+  if (allUnique && present.length > 10 && present.every((v) => !/\s/.test(v.trim()))) return "id";
+  // Mostly-unique strings are free text rather than categories worth grouping by
+  if (distinct.size > present.length * 0.5 && present.length > 10) return "text";
+  return "categorical";
+}
+
+// Ordinal levels in scale order, or sorted by their lower bound (plain numbers mixed in sort by value)
+function ordinalOrder(distinct) {
+  const key = matchScale(distinct) || ((v) => (Number.isNaN(rangeKey(v)) ? Number(v) : rangeKey(v)));
+  return [...distinct].sort((a, b) => key(a) - key(b));
+}
+
+function profileColumn(name, rows) {
+  const raw = rows.map((r) => r[name]);
+  const present = raw.filter((v) => !isMissing(v)).map(String);
+  const distinct = new Set(present);
+  const nums = present.map(Number).filter((n) => !Number.isNaN(n));
+  const type = present.length === 0 ? "empty" : inferType(name, present, distinct, nums);
+
+  const column = {
+    name,
+    type,
+    missing: raw.length - present.length,
+    distinct: distinct.size,
+  };
+
+  if (type === "integer" || type === "numeric") Object.assign(column, numericStats(nums));
+  if (type === "ordinal") column.order = ordinalOrder(distinct);
+  if (type === "date") {
+    const times = present.map((v) => Date.parse(v)).filter((t) => !Number.isNaN(t)).sort((a, b) => a - b);
+    column.min = new Date(times[0]).toISOString().slice(0, 10);
+    column.max = new Date(times[times.length - 1]).toISOString().slice(0, 10);
+  }
+  if (type !== "id" && type !== "empty") column.top = topValues(present);
+  return column;
+}
+
+function pearson(xs, ys) {
+  const n = xs.length;
+  const mx = xs.reduce((a, b) => a + b, 0) / n;
+  const my = ys.reduce((a, b) => a + b, 0) / n;
+  let sxy = 0;
+  let sxx = 0;
+  let syy = 0;
+  for (let i = 0; i < n; i++) {
+    sxy += (xs[i] - mx) * (ys[i] - my);
+    sxx += (xs[i] - mx) ** 2;
+    syy += (ys[i] - my) ** 2;
+  }
+  return sxx === 0 || syy === 0 ? null : sxy / Math.sqrt(sxx * syy);
+}
+
+// Pearson r for every pair of measure columns, over rows where both are present; strongest first
+function correlations(rows, columns) {
+  const pairs = [];
+  for (let i = 0; i < columns.length; i++) {
+    for (let j = i + 1; j < columns.length; j++) {
+      const xs = [];
+      const ys = [];
+      for (const row of rows) {
+        const x = isMissing(row[columns[i]]) ? NaN : Number(row[columns[i]]);
+        const y = isMissing(row[columns[j]]) ? NaN : Number(row[columns[j]]);
+        if (!Number.isNaN(x) && !Number.isNaN(y)) {
+          xs.push(x);
+          ys.push(y);
+        }
+      }
+      const r = xs.length > 2 ? pearson(xs, ys) : null;
+      if (r != null) pairs.push({ a: columns[i], b: columns[j], r: round2(r), n: xs.length });
+    }
+  }
+  return pairs.sort((p, q) => Math.abs(q.r) - Math.abs(p.r));
+}
+
+// Full symmetric matrix for the correlation chart: { labels, z } with z[i][j] = r (null when undefined)
+function correlationMatrix(rows, columns) {
+  const lookup = new Map(correlations(rows, columns).map((p) => [`${p.a}\u0000${p.b}`, p.r]));
+  const r = (a, b) => {
+    if (a === b) return 1;
+    const value = lookup.get(`${a}\u0000${b}`) ?? lookup.get(`${b}\u0000${a}`);
+    return value === undefined ? null : value;
+  };
+  return { labels: columns, z: columns.map((a) => columns.map((b) => r(a, b))) };
+}
+
+// Numeric columns worth correlating (identifiers excluded)
+function measureColumns(profile) {
+  return profile.columns.filter((c) => c.type === "integer" || c.type === "numeric").map((c) => c.name);
+}
+
+function profileDataset(rows, columns) {
+  const profiled = columns.map((col) => profileColumn(col, rows));
+  return {
+    rowCount: rows.length,
+    columns: profiled,
+    correlations: correlations(rows, measureColumns({ columns: profiled })),
+  };
+}
+
+// One line per column for the model's dataset summary
+function describeColumn(c) {
+  const missing = c.missing > 0 ? `, ${c.missing} missing` : "";
+  const top = (c.top || []).map((t) => `${t.value} (${t.count})`).join(", ");
+  switch (c.type) {
+    case "integer":
+    case "numeric":
+      return `  ${c.name} [${c.type}]: min=${c.min}, q1=${c.q1}, median=${c.median}, q3=${c.q3}, max=${c.max}, mean=${c.mean}, std=${c.std}${missing}`;
+    case "ordinal":
+      return `  ${c.name} [ordinal]: ${c.distinct} levels in order ${c.order.join(" < ")}${missing}`;
+    case "date":
+      return `  ${c.name} [date]: ${c.min} to ${c.max}${missing}`;
+    case "id":
+      return `  ${c.name} [id]: unique per row — don't group or aggregate by it${missing}`;
+    case "text":
+      return `  ${c.name} [free text]: ${c.distinct} distinct values, e.g. ${top}${missing}`;
+    case "empty":
+      return `  ${c.name} [empty]: no values`;
+    default:
+      return `  ${c.name} [${c.type}]: ${c.distinct} unique values; top: ${top}${c.distinct > TOP_K ? ", ..." : ""}${missing}`;
+  }
+}
+
+function describeProfile(profile, { maxCorrelations = 5 } = {}) {
+  const lines = [`Dataset: ${profile.rowCount} rows, ${profile.columns.length} columns.`, "", "Columns (with inferred type and stats):"];
+  lines.push(...profile.columns.map(describeColumn));
+
+  const strong = profile.correlations.filter((p) => Math.abs(p.r) >= 0.3).slice(0, maxCorrelations);
+  if (strong.length > 0) {
+    lines.push("", "Strongest correlations between numeric columns (Pearson r):");
+    lines.push(...strong.map((p) => `  ${p.a} ~ ${p.b}: r=${p.r}`));
+  }
+  return lines.join("\n");
+}
+
+module.exports = { isMissing, profileDataset, describeProfile, correlationMatrix, measureColumns };
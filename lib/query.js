@@ -0,0 +1,434 @@
+// --- Declarative query spec ---
+// A small JSON query language that replaces raw JS for charts and recipes:
+//
+//   {
+//     "derive":     [{ "as": "age_band", "op": "bin", "args": ["age"], "width": 10 }],
+//     "filter":     [{ "column": "industry", "op": "eq", "value": "Finance" }],
+//     "groupBy":    ["industry", "gender"],
+//     "aggregates": [{ "op": "mean", "column": "ai_exposure_score", "as": "avg_exposure" }],
+//     "sort":       [{ "by": "avg_exposure", "direction": "desc" }],
+//     "limit":      10
+//   }
+//
+// Stages run in that order. Without groupBy/aggregates the query returns row
+// records, restricted to `select` when given.
+
+const { matchesValue, selectRows, readRecords } = require("./columnar");
+
+const FILTER_OPS = ["eq", "neq", "in", "not_in", "gt", "gte", "lt", "lte", "between", "contains"];
+const AGGREGATE_OPS = ["count", "sum", "mean", "median", "percentile", "distinct_count", "min", "max"];
+const DERIVE_OPS = ["add", "subtract", "multiply", "divide", "round", "bin"];
+const NUMERIC_AGGREGATES = ["sum", "mean", "median", "percentile", "min", "max"];
+const NUMERIC_FILTERS = ["gt", "gte", "lt", "lte", "between"];
+const SORT_DIRECTIONS = ["asc", "desc"];
+const MAX_LIMIT = 10000;
+const CACHE_SIZE = 200;
+
+// JSON schema handed to Claude in tool definitions
+const QUERY_SCHEMA = {
+  type: "object",
+  description: "Declarative query over the dataset. Stages run in order: derive, filter, groupBy + aggregates, sort, limit.",
+  properties: {
+    derive: {
+      type: "array",
+      description: "Computed columns. Arithmetic ops take column names or numbers as args; bin takes one numeric column and a width.",
+      items: {
+        type: "object",
+        properties: {
+          as: { type: "string" },
+          op: { type: "string", enum: DERIVE_OPS },
+          args: { type: "array", items: { type: ["string", "number"] } },
+          width: { type: "number" },
+          digits: { type: "number" },
+        },
+        required: ["as", "op", "args"],
+      },
+    },
+    filter: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          column: { type: "string" },
+          op: { type: "string", enum: FILTER_OPS },
+          value: { description: "Scalar, array for in/not_in, [min, max] for between" },
+        },
+        required: ["column", "op", "value"],
+      },
+    },
+    groupBy: { type: "array", items: { type: "string" } },
+    aggregates: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          op: { type: "string", enum: AGGREGATE_OPS },
+          column: { type: "string", description: "Required for everything except count" },
+          p: { type: "number", description: "Percentile 0-100, for op percentile" },
+          as: { type: "string", description: "Output column name" },
+        },
+        required: ["op"],
+      },
+    },
+    select: { type: "array", items: { type: "string" }, description: "Columns to return when not aggregating" },
+    sort: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: { by: { type: "string" }, direction: { type: "string", enum: SORT_DIRECTIONS } },
+        required: ["by", "direction"],
+      },
+    },
+    limit: { type: "integer", minimum: 1 },
+  },
+};
+
+class QueryError extends Error {
+  constructor(errors) {
+    super(`Invalid query: ${errors.join("; ")}`);
+    this.name = "QueryError";
+    this.code = "invalid_query";
+    this.errors = errors;
+  }
+}
+
+const asArray = (value) => (value == null ? [] : Array.isArray(value) ? value : [value]);
+const isObject = (value) => value != null && typeof value === "object" && !Array.isArray(value);
+
+function aggregateName(agg) {
+  if (agg.as) return agg.as;
+  if (agg.op === "count") return "count";
+  if (agg.op === "percentile") return `p${agg.p}_${agg.column}`;
+  return `${agg.op}_${agg.column}`;
+}
+
+// Fill in defaults so equivalent queries look the same (and share a cache entry).
+// Malformed entries pass through untouched for validateQuery to report.
+function normalizeQuery(query) {
+  const normalized = {
+    derive: asArray(query.derive),
+    filter: asArray(query.filter),
+    groupBy: asArray(query.groupBy),
+    aggregates: asArray(query.aggregates).map((agg) => (isObject(agg) ? { ...agg, as: aggregateName(agg) } : agg)),
+    select: asArray(query.select),
+    sort: asArray(query.sort).map((s) => (isObject(s) ? { by: s.by, direction: s.direction } : s)),
+    limit: query.limit == null ? null : query.limit,
+  };
+
+  // Grouped output defaults to the largest first aggregate, like the dashboard bars
+  if (normalized.sort.length === 0 && isObject(normalized.aggregates[0])) {
+    normalized.sort = [{ by: normalized.aggregates[0].as, direction: "desc" }];
+  }
+  return normalized;
+}
+
+function isGrouped(query) {
+  return query.groupBy.length > 0 || query.aggregates.length > 0;
+}
+
+// Returns a list of human-readable problems; empty when the query is runnable
+function validateQuery(query, dataset) {
+  const errors = [];
+  const types = new Map(dataset.columns.map((c) => [c, dataset.numericCols.includes(c) ? "numeric" : "categorical"]));
+
+  const checkColumn = (col, where, { numeric = false } = {}) => {
+    if (typeof col !== "string" || !types.has(col)) {
+      errors.push(`${where}: unknown column "${col}"`);
+      return false;
+    }
+    if (numeric && types.get(col) !== "numeric") {
+      errors.push(`${where}: column "${col}" is not numeric`);
+      return false;
+    }
+    return true;
+  };
+
+  const checkEntry = (entry, where) => {
+    if (isObject(entry)) return true;
+    errors.push(`${where}: must be an object`);
+    return false;
+  };
+
+  query.derive.forEach((d, i) => {
+    const where = `derive[${i}]`;
+    if (!checkEntry(d, where)) return;
+    if (typeof d.as !== "string" || !d.as) errors.push(`${where}: "as" is required`);
+    else if (types.has(d.as)) errors.push(`${where}: "${d.as}" already exists`);
+    if (!DERIVE_OPS.includes(d.op)) {
+      errors.push(`${where}: unknown op "${d.op}"`);
+      return;
+    }
+    const args = asArray(d.args);
+    if (d.op === "bin") {
+      if (args.length !== 1) errors.push(`${where}: bin takes exactly one column`);
+      else checkColumn(args[0], where, { numeric: true });
+      if (!(Number(d.width) > 0)) errors.push(`${where}: bin needs a positive width`);
+    } else if (d.op === "round") {
+      if (args.length !== 1) errors.push(`${where}: round takes exactly one argument`);
+    } else if (args.length < 2) {
+      errors.push(`${where}: ${d.op} needs at least two arguments`);
+    }
+    if (d.op !== "bin") {
+      args.filter((a) => typeof a !== "number").forEach((a) => checkColumn(a, where, { numeric: true }));
+    }
+    if (typeof d.as === "string" && d.as) types.set(d.as, d.op === "bin" ? "categorical" : "numeric");
+  });
+
+  query.filter.forEach((f, i) => {
+    const where = `filter[${i}]`;
+    if (!checkEntry(f, where)) return;
+    if (!FILTER_OPS.includes(f.op)) {
+      errors.push(`${where}: unknown op "${f.op}"`);
+      return;
+    }
+    checkColumn(f.column, where, { numeric: NUMERIC_FILTERS.includes(f.op) });
+    if ((f.op === "in" || f.op === "not_in") && !Array.isArray(f.value)) {
+      errors.push(`${where}: ${f.op} needs an array value`);
+    }
+    if (f.op === "between" && !(Array.isArray(f.value) && f.value.length === 2 && f.value.every((v) => !Number.isNaN(Number(v))))) {
+      errors.push(`${where}: between needs a [min, max] value`);
+    }
+    if (["gt", "gte", "lt", "lte"].includes(f.op) && Number.isNaN(Number(f.value))) {
+      errors.push(`${where}: ${f.op} needs a numeric value`);
+    }
+  });
+
+  query.groupBy.forEach((col, i) => checkColumn(col, `groupBy[${i}]`));
+
+  query.aggregates.forEach((agg, i) => {
+    const where = `aggregates[${i}]`;
+    if (!checkEntry(agg, where)) return;
+    if (!AGGREGATE_OPS.includes(agg.op)) {
+      errors.push(`${where}: unknown op "${agg.op}"`);
+      return;
+    }
+    if (agg.op !== "count" || agg.column != null) {
+      checkColumn(agg.column, where, { numeric: NUMERIC_AGGREGATES.includes(agg.op) });
+    }
+    if (agg.op === "percentile" && !(Number(agg.p) >= 0 && Number(agg.p) <= 100)) {
+      errors.push(`${where}: percentile needs p between 0 and 100`);
+    }
+  });
+
+  if (isGrouped(query) && query.select.length > 0) {
+    errors.push("select: only allowed when the query has no groupBy or aggregates");
+  }
+  query.select.forEach((col, i) => checkColumn(col, `select[${i}]`));
+
+  const outputColumns = isGrouped(query)
+    ? [...query.groupBy, ...query.aggregates.filter(isObject).map((a) => a.as)]
+    : query.select.length > 0 ? query.select : [...types.keys()];
+  query.sort.forEach((s, i) => {
+    if (!checkEntry(s, `sort[${i}]`)) return;
+    if (!outputColumns.includes(s.by)) errors.push(`sort[${i}]: "${s.by}" is not an output column`);
+    if (!SORT_DIRECTIONS.includes(s.direction)) errors.push(`sort[${i}]: direction must be "asc" or "desc" (got "${s.direction}")`);
+  });
+
+  if (query.limit != null && !(Number.isInteger(query.limit) && query.limit >= 1 && query.limit <= MAX_LIMIT)) {
+    errors.push(`limit: must be an integer between 1 and ${MAX_LIMIT}`);
+  }
+
+  return errors;
+}
+
+// --- Execution ---
+const toNumber = (value) => (value === "" || value == null ? NaN : Number(value));
+const round2 = (n) => Math.round(n * 100) / 100;
+
+function deriveValue(row, d) {
+  const args = asArray(d.args).map((a) => (typeof a === "number" ? a : toNumber(row[a])));
+  if (d.op === "bin") {
+    if (Number.isNaN(args[0])) return "";
+    const width = Number(d.width);
+    const start = Math.floor(args[0] / width) * width;
+    // Integer bands read as "20-29"; fractional ones as half-open "0.5-1"
+    return `${start}-${Number.isInteger(width) ? start + width - 1 : start + width}`;
+  }
+  if (d.op === "round") {
+    const factor = 10 ** (Number(d.digits) || 0);
+    return Math.round(args[0] * factor) / factor;
+  }
+  const [first, ...rest] = args;
+  return rest.reduce((acc, n) => {
+    if (d.op === "add") return acc + n;
+    if (d.op === "subtract") return acc - n;
+    if (d.op === "multiply") return acc * n;
+    return n === 0 ? NaN : acc / n;
+  }, first);
+}
+
+function matchesFilter(row, f) {
+  return matchesValue(row[f.column], f);
+}
+
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  const pos = (sorted.length - 1) * (p / 100);
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+function aggregate(rows, agg) {
+  if (agg.op === "count") {
+    return agg.column ? rows.filter((r) => r[agg.column] !== "" && r[agg.column] != null).length : rows.length;
+  }
+  if (agg.op === "distinct_count") {
+    return new Set(rows.map((r) => r[agg.column]).filter((v) => v !== "" && v != null)).size;
+  }
+
+  const nums = rows.map((r) => toNumber(r[agg.column])).filter((n) => !Number.isNaN(n));
+  if (nums.length === 0) return null;
+  if (agg.op === "sum") return round2(nums.reduce((a, b) => a + b, 0));
+  if (agg.op === "mean") return round2(nums.reduce((a, b) => a + b, 0) / nums.length);
+  // reduce rather than Math.min(...nums): spreading a large column overflows the call stack
+  if (agg.op === "min") return nums.reduce((a, b) => (b < a ? b : a));
+  if (agg.op === "max") return nums.reduce((a, b) => (b > a ? b : a));
+  const sorted = nums.sort((a, b) => a - b);
+  return round2(percentile(sorted, agg.op === "median" ? 50 : Number(agg.p)));
+}
+
+function compareValues(a, b) {
+  const na = toNumber(a);
+  const nb = toNumber(b);
+  if (!Number.isNaN(na) && !Number.isNaN(nb)) return na - nb;
+  return String(a ?? "").localeCompare(String(b ?? ""));
+}
+
+// Dataset columns a query reads; row queries without `select` return all of them
+function queryColumns(query, dataset) {
+  if (!isGrouped(query) && query.select.length === 0) return dataset.columns;
+  const used = new Set([
+    ...query.groupBy,
+    ...query.select,
+    ...query.aggregates.map((agg) => agg.column),
+    ...query.derive.flatMap((d) => asArray(d.args)),
+  ]);
+  return dataset.columns.filter((col) => used.has(col));
+}
+
+const cache = new Map();
+
+// Validate and run a query. Resolves the cached result when the same query
+// has already run against this dataset.
+function runQuery(rawQuery, dataset) {
+  if (!rawQuery || typeof rawQuery !== "object" || Array.isArray(rawQuery)) {
+    throw new QueryError(["query must be an object"]);
+  }
+  const query = normalizeQuery(rawQuery);
+  const errors = validateQuery(query, dataset);
+  if (errors.length > 0) throw new QueryError(errors);
+
+  const key = `${dataset.id}:${JSON.stringify(query)}`;
+  if (cache.has(key)) return cache.get(key);
+
+  // Filters on dataset columns select rows through the column store; those on derived
+  // columns run once the derived cells exist
+  const storeFilters = query.filter.filter((f) => dataset.columns.includes(f.column));
+  const derivedFilters = query.filter.filter((f) => !dataset.columns.includes(f.column));
+  let rows = readRecords(dataset.store, selectRows(dataset.store, storeFilters), queryColumns(query, dataset));
+  for (const row of rows) {
+    for (const d of query.derive) row[d.as] = deriveValue(row, d);
+  }
+  if (derivedFilters.length > 0) rows = rows.filter((row) => derivedFilters.every((f) => matchesFilter(row, f)));
+  const matchedRows = rows.length;
+
+  let columns;
+  let records;
+  if (isGrouped(query)) {
+    const groups = new Map();
+    for (const row of rows) {
+      const keyValues = query.groupBy.map((col) => (row[col] == null || row[col] === "" ? "Unknown" : row[col]));
+      const groupKey = JSON.stringify(keyValues);
+      if (!groups.has(groupKey)) groups.set(groupKey, { keyValues, rows: [] });
+      groups.get(groupKey).rows.push(row);
+    }
+    columns = [...query.groupBy, ...query.aggregates.map((a) => a.as)];
+    records = [...groups.values()].map(({ keyValues, rows: groupRows }) => {
+      const record = {};
+      query.groupBy.forEach((col, i) => { record[col] = keyValues[i]; });
+      for (const agg of query.aggregates) record[agg.as] = aggregate(groupRows, agg);
+      return record;
+    });
+  } else {
+    columns = query.select.length > 0 ? query.select : [...dataset.columns, ...query.derive.map((d) => d.as)];
+    records = rows.map((row) => Object.fromEntries(columns.map((col) => [col, row[col]])));
+  }
+
+  if (query.sort.length > 0) {
+    records.sort((a, b) => {
+      for (const s of query.sort) {
+        const diff = compareValues(a[s.by], b[s.by]);
+        if (diff !== 0) return s.direction === "asc" ? diff : -diff;
+      }
+      return 0;
+    });
+  }
+  if (query.limit != null) records = records.slice(0, query.limit);
+
+  const result = { query, text: describeQuery(query), columns, rows: records, matchedRows };
+  cache.set(key, result);
+  if (cache.size > CACHE_SIZE) cache.delete(cache.keys().next().value);
+  return result;
+}
+
+// Prepend extra filter entries (e.g. dashboard cross-filters) to a query's own
+function withFilters(query, filters) {
+  if (!Array.isArray(filters) || filters.length === 0) return query;
+  return { ...query, filter: [...filters, ...asArray(query.filter)] };
+}
+
+// Check standalone filter entries (cross-filters sent with a chat request); throws QueryError
+function validateFilters(filters, dataset) {
+  if (!Array.isArray(filters)) throw new QueryError(["filters must be an array"]);
+  const errors = validateQuery(normalizeQuery({ filter: filters }), dataset);
+  if (errors.length > 0) throw new QueryError(errors);
+  return filters;
+}
+
+function describeFilters(filters) {
+  return filters.map(describeFilter).join(" and ");
+}
+
+// --- Plain-English rendering, shown to users next to the result ---
+function describeFilter(f) {
+  const value = Array.isArray(f.value) ? f.value.join(f.op === "between" ? "–" : ", ") : f.value;
+  const words = {
+    eq: "=", neq: "≠", in: "in", not_in: "not in", gt: ">", gte: "≥", lt: "<", lte: "≤", between: "between", contains: "contains",
+  };
+  return `${f.column} ${words[f.op] || f.op} ${value}`;
+}
+
+function describeAggregate(agg) {
+  if (agg.op === "count") return agg.column ? `count of ${agg.column}` : "count";
+  if (agg.op === "percentile") return `p${agg.p} of ${agg.column}`;
+  if (agg.op === "distinct_count") return `distinct ${agg.column}`;
+  return `${agg.op} of ${agg.column}`;
+}
+
+function describeQuery(query) {
+  const q = normalizeQuery(query);
+  const parts = [];
+  if (isGrouped(q)) {
+    parts.push(q.aggregates.length > 0 ? q.aggregates.map(describeAggregate).join(", ") : "distinct rows");
+    if (q.groupBy.length > 0) parts.push(`by ${q.groupBy.join(", ")}`);
+  } else {
+    parts.push(q.select.length > 0 ? `rows (${q.select.join(", ")})` : "rows");
+  }
+  if (q.derive.length > 0) {
+    parts.push(`with ${q.derive.map((d) => (d.op === "bin" ? `${d.as} = ${d.args[0]} in bands of ${d.width}` : `${d.as} = ${d.op}(${asArray(d.args).join(", ")})`)).join(", ")}`);
+  }
+  if (q.filter.length > 0) parts.push(`where ${describeFilters(q.filter)}`);
+  if (q.sort.length > 0) parts.push(`sorted by ${q.sort.map((s) => `${s.by} ${s.direction}`).join(", ")}`);
+  if (q.limit != null) parts.push(`top ${q.limit}`);
+  return parts.join(" ");
+}
+
+module.exports = {
+  QUERY_SCHEMA,
+  QueryError,
+  runQuery,
+  withFilters,
+  validateFilters,
+  describeFilters,
+};
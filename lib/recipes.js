@@ -0,0 +1,192 @@
+const { QueryError, runQuery } = require("./query");
+const { measureColumns } = require("./profile");
+
+// --- Dashboard recipe validation ---
+// Checks a recipe against the dataset's columns and numeric/categorical split, so a
+// bad column or aggregation is caught before the browser draws a wrong or empty chart.
+
+const RECIPE_TYPES = ["bar", "line", "pie", "scatter", "histogram", "box", "violin", "heatmap", "correlation"];
+const AGGREGATIONS = ["count", "average", "sum", "none"];
+const BAR_MODES = ["grouped", "stacked", "percent"];
+// Aggregations each chart type can be computed with by the aggregation endpoint
+const TYPE_AGGREGATIONS = {
+  bar: ["count", "average", "sum"],
+  line: ["count", "average", "sum"],
+  pie: ["count", "average", "sum"],
+  scatter: ["none"],
+  histogram: ["count", "none"],
+  box: ["none"],
+  violin: ["none"],
+  heatmap: ["count"],
+  correlation: ["none"],
+};
+
+// Columns each chart type needs; yColumn is also needed (and numeric) for average and sum
+const COLUMN_RULES = {
+  bar: { xColumn: {} },
+  line: { xColumn: {} },
+  pie: { xColumn: {} },
+  scatter: { xColumn: { numeric: true }, yColumn: { numeric: true } },
+  histogram: { xColumn: { numeric: true } },
+  box: { xColumn: {}, yColumn: { numeric: true } },
+  violin: { xColumn: {}, yColumn: { numeric: true } },
+  heatmap: { xColumn: {}, yColumn: {} },
+  correlation: {},
+};
+// Computed on the server from the column store by the aggregation endpoint, never from a query result
+const STORE_ONLY_TYPES = ["heatmap", "correlation"];
+
+// Most bins a histogram may ask for, by binCount or a binWidth over the column's range
+const MAX_BINS = 1000;
+
+// Chart types that can take a series (color) or facet column
+const SERIES_TYPES = { colorColumn: ["bar", "line", "scatter"], facetColumn: ["bar", "line", "pie"] };
+
+function validateSeries(recipe) {
+  const errors = [];
+  for (const [field, types] of Object.entries(SERIES_TYPES)) {
+    if (recipe[field] != null && !types.includes(recipe.type)) {
+      errors.push(`${field} only applies to ${types.join(", ")} charts`);
+    }
+  }
+  if (recipe.trendline != null && recipe.type !== "scatter") errors.push("trendline only applies to scatter charts");
+  if (recipe.barMode != null && !BAR_MODES.includes(recipe.barMode)) {
+    errors.push(`barMode must be one of ${BAR_MODES.join(", ")} (got "${recipe.barMode}")`);
+  }
+  return errors;
+}
+
+// Query-backed recipes: the query must run and its result must have the chart columns
+function validateQueryRecipe(recipe, dataset) {
+  let table;
+  try {
+    table = runQuery(recipe.query, dataset);
+  } catch (err) {
+    if (err instanceof QueryError) return err.errors.map((e) => `query ${e}`);
+    return [`query failed: ${err.message}`];
+  }
+
+  if (STORE_ONLY_TYPES.includes(recipe.type)) {
+    return [`${recipe.type} charts are computed from the rows directly and can't take a query`];
+  }
+
+  const needed = [recipe.xColumn, recipe.type === "histogram" ? null : recipe.yColumn, recipe.colorColumn, recipe.facetColumn];
+  return needed
+    .filter((col) => col != null)
+    .filter((col) => !table.columns.includes(col))
+    .map((col) => `column "${col}" is not in the query result (${table.columns.join(", ")})`);
+}
+
+// Returns a list of error strings; empty when the recipe can be rendered
+function validateRecipe(recipe, dataset) {
+  if (!recipe || typeof recipe !== "object") return ["recipe must be an object"];
+
+  const errors = [];
+  if (typeof recipe.title !== "string" || !recipe.title.trim()) errors.push("title is required");
+  if (!RECIPE_TYPES.includes(recipe.type)) {
+    errors.push(`type must be one of ${RECIPE_TYPES.join(", ")} (got "${recipe.type}")`);
+    return errors;
+  }
+  errors.push(...validateSeries(recipe));
+  if (recipe.query) return [...errors, ...validateQueryRecipe(recipe, dataset)];
+
+  if (!AGGREGATIONS.includes(recipe.aggregation)) {
+    errors.push(`aggregation must be one of ${AGGREGATIONS.join(", ")} (got "${recipe.aggregation}")`);
+  } else if (!TYPE_AGGREGATIONS[recipe.type].includes(recipe.aggregation)) {
+    errors.push(`a ${recipe.type} chart needs aggregation ${TYPE_AGGREGATIONS[recipe.type].join(" or ")}`);
+  }
+
+  const checkColumn = (field, { numeric = false } = {}) => {
+    const col = recipe[field];
+    if (!dataset.columns.includes(col)) {
+      errors.push(`${field}: unknown column "${col}"`);
+    } else if (numeric && !dataset.numericCols.includes(col)) {
+      errors.push(`${field}: column "${col}" is not numeric`);
+    }
+  };
+
+  for (const field of ["binWidth", "binCount"]) {
+    if (recipe[field] == null) continue;
+    if (recipe.type !== "histogram") errors.push(`${field} only applies to histograms`);
+    else if (!(Number(recipe[field]) > 0)) errors.push(`${field} must be a positive number`);
+  }
+  if (recipe.binCount != null && !Number.isInteger(Number(recipe.binCount))) errors.push("binCount must be a whole number");
+  if (Number(recipe.binCount) > MAX_BINS) errors.push(`binCount can be at most ${MAX_BINS}`);
+  const range = recipe.type === "histogram" && dataset.profile.columns.find((c) => c.name === recipe.xColumn);
+  if (range && Number(recipe.binWidth) > 0 && Number.isFinite(range.min) && Number.isFinite(range.max)) {
+    const width = Number(recipe.binWidth);
+    const bins = Math.floor((range.max - Math.floor(range.min / width) * width) / width) + 1;
+    if (bins > MAX_BINS) errors.push(`binWidth ${width} makes ${bins} bins over ${recipe.xColumn}; at most ${MAX_BINS} are allowed`);
+  }
+
+  const rules = { ...COLUMN_RULES[recipe.type] };
+  if (recipe.aggregation === "average" || recipe.aggregation === "sum") rules.yColumn = { numeric: true };
+  for (const [field, options] of Object.entries(rules)) checkColumn(field, options);
+
+  if (recipe.type === "correlation") {
+    const columns = recipe.columns == null ? measureColumns(dataset.profile) : recipe.columns;
+    if (!Array.isArray(columns) || columns.length < 2) {
+      errors.push("columns: a correlation matrix needs at least two numeric columns");
+    } else {
+      columns.filter((col) => !dataset.numericCols.includes(col)).forEach((col) => errors.push(`columns: "${col}" is not a numeric column`));
+    }
+  }
+  if (recipe.colorColumn != null) checkColumn("colorColumn");
+  if (recipe.facetColumn != null) checkColumn("facetColumn");
+
+  return errors;
+}
+
+// Errors for every invalid recipe in a list, each prefixed with its position and title
+function validateRecipes(recipes, dataset) {
+  if (!Array.isArray(recipes)) return ["recipes must be an array"];
+  return recipes.flatMap((recipe, i) =>
+    validateRecipe(recipe, dataset).map((e) => `recipe ${i + 1} ("${(recipe && recipe.title) || "untitled"}"): ${e}`)
+  );
+}
+
+// Copy of the recipes with `errors` set on the invalid ones (and cleared on the rest)
+function annotateRecipes(recipes, dataset) {
+  return recipes.map((recipe) => {
+    const { errors: _previous, ...clean } = recipe;
+    const errors = validateRecipe(clean, dataset);
+    return errors.length > 0 ? { ...clean, errors } : clean;
+  });
+}
+
+// Heatmaps are counted from the raw rows, so only a plain "count by x and y" query carries over
+function isCountCrosstab(query, xColumn, yColumn) {
+  const groupBy = query.groupBy || [];
+  const aggregates = query.aggregates || [];
+  return (
+    !(query.filter && query.filter.length) &&
+    !(query.derive && query.derive.length) &&
+    groupBy.length === 2 && groupBy.includes(xColumn) && groupBy.includes(yColumn) &&
+    aggregates.length > 0 && aggregates.every((a) => a.op === "count")
+  );
+}
+
+// Dashboard recipe for a chat chart (the create_chart input), so a pinned chart keeps its query
+// and responds to cross-filters; null when the chart was drawn from JS expressions or doesn't fit
+function recipeFromChart(input, dataset) {
+  const recipe = { title: input.title || "Chart", description: input.description || "", type: input.type, aggregation: "none" };
+  for (const key of ["colorColumn", "facetColumn", "barMode"]) {
+    if (input[key] != null) recipe[key] = input[key];
+  }
+  if (input.type === "scatter" && input.trendline) recipe.trendline = true;
+
+  if (input.type === "correlation") {
+    Object.assign(recipe, { xColumn: null, yColumn: null });
+    if (Array.isArray(input.columns) && input.columns.length >= 2) recipe.columns = input.columns;
+  } else if (!input.query) {
+    return null;
+  } else if (input.type === "heatmap") {
+    if (!isCountCrosstab(input.query, input.xColumn, input.yColumn)) return null;
+    Object.assign(recipe, { xColumn: input.xColumn, yColumn: input.yColumn, aggregation: "count" });
+  } else {
+    Object.assign(recipe, { xColumn: input.xColumn, yColumn: input.type === "histogram" ? null : input.yColumn, query: input.query });
+  }
+  return validateRecipe(recipe, dataset).length === 0 ? recipe : null;
+}
+
+module.exports = { MAX_BINS, validateRecipe, validateRecipes, annotateRecipes, recipeFromChart };
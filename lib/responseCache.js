@@ -0,0 +1,122 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+// --- Model response cache ---
+// Responses keyed on the dataset hash, the task and the full request (prompt, conversation so
+// far, tools), kept on disk so restarts and repeated questions (hint buttons) don't pay twice.
+// Entries expire after LLM_CACHE_TTL_HOURS (default 24) and the least recently used go past
+// LLM_CACHE_MAX_ENTRIES (default 500); LLM_CACHE=off turns the cache off.
+
+const STORE_PATH = process.env.LLM_CACHE_STORE || path.join(__dirname, "..", "data", "llm-cache.json");
+const TTL_MS = (Number(process.env.LLM_CACHE_TTL_HOURS) || 24) * 60 * 60 * 1000;
+const MAX_ENTRIES = Number(process.env.LLM_CACHE_MAX_ENTRIES) || 500;
+const ENABLED = process.env.LLM_CACHE !== "off";
+// Changes within this window go to disk in one write
+const PERSIST_DELAY_MS = 1000;
+
+// Oldest use first: hits move an entry to the end
+let entries = new Map();
+let persistTimer = null;
+let writing = false;
+let dirty = false;
+
+function load() {
+  try {
+    const stored = JSON.parse(fs.readFileSync(STORE_PATH, "utf-8"));
+    const now = Date.now();
+    entries = new Map((stored.entries || []).filter((e) => Date.parse(e.expiresAt) > now).slice(-MAX_ENTRIES).map((e) => [e.key, e]));
+  } catch (err) {
+    if (err.code !== "ENOENT") console.error("Response cache unreadable, starting empty:", err.message);
+    entries = new Map();
+  }
+}
+
+// Write to a temp file and rename, off the request path. Changes made while a write is
+// in flight are picked up by the next one.
+async function flush() {
+  persistTimer = null;
+  dirty = false;
+  writing = true;
+  try {
+    await fs.promises.mkdir(path.dirname(STORE_PATH), { recursive: true });
+    const tmpPath = `${STORE_PATH}.tmp`;
+    await fs.promises.writeFile(tmpPath, JSON.stringify({ entries: [...entries.values()] }));
+    await fs.promises.rename(tmpPath, STORE_PATH);
+  } catch (err) {
+    console.error("Response cache write failed:", err.message);
+  } finally {
+    writing = false;
+    if (dirty) persist();
+  }
+}
+
+function persist() {
+  dirty = true;
+  if (persistTimer || writing) return;
+  persistTimer = setTimeout(flush, PERSIST_DELAY_MS);
+  persistTimer.unref();
+}
+
+function pruneExpired(now) {
+  for (const [key, entry] of entries) {
+    if (Date.parse(entry.expiresAt) <= now) entries.delete(key);
+  }
+}
+
+function cacheKey(task, datasetHash, params) {
+  const { model, max_tokens: maxTokens, temperature, system, messages, tools = [], tool_choice: toolChoice } = params;
+  const text = JSON.stringify({ task, datasetHash, model, maxTokens, temperature, system, messages, tools, toolChoice });
+  return crypto.createHash("sha256").update(text).digest("hex");
+}
+
+// Cached response message, or null when missing or expired
+function getResponse(key) {
+  const entry = entries.get(key);
+  if (!entry) return null;
+  if (Date.parse(entry.expiresAt) <= Date.now()) {
+    entries.delete(key);
+    persist();
+    return null;
+  }
+  entries.delete(key);
+  entries.set(key, entry);
+  return entry.response;
+}
+
+function setResponse(key, { task, datasetHash }, message) {
+  const now = Date.now();
+  pruneExpired(now);
+  entries.delete(key);
+  entries.set(key, {
+    key,
+    task,
+    datasetHash: datasetHash || null,
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + TTL_MS).toISOString(),
+    response: { model: message.model, content: message.content, stop_reason: message.stop_reason, usage: message.usage },
+  });
+  while (entries.size > MAX_ENTRIES) entries.delete(entries.keys().next().value);
+  persist();
+}
+
+// Drop entries for a dataset hash and/or task (everything when neither is given); returns the count
+function invalidate({ datasetHash, task } = {}) {
+  let removed = 0;
+  for (const [key, entry] of entries) {
+    if (datasetHash && entry.datasetHash !== datasetHash) continue;
+    if (task && entry.task !== task) continue;
+    entries.delete(key);
+    removed += 1;
+  }
+  if (removed > 0) persist();
+  return removed;
+}
+
+function cacheStats() {
+  return { enabled: ENABLED, entries: entries.size, maxEntries: MAX_ENTRIES, ttlHours: TTL_MS / (60 * 60 * 1000) };
+}
+
+load();
+
+module.exports = { ENABLED, cacheKey, getResponse, setResponse, invalidate, cacheStats };
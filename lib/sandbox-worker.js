@@ -0,0 +1,72 @@
+// Runs inside a worker thread spawned by lib/sandbox.js. The expression is
+// evaluated in a fresh V8 context that only sees `rows` and a short list of
+// built-ins; the result crosses back to the host as a JSON string.
+const { parentPort, workerData } = require("worker_threads");
+const vm = require("vm");
+
+const SAFE_GLOBALS = [
+  "Object", "Array", "Number", "String", "Boolean", "Symbol",
+  "Math", "JSON", "Date", "RegExp", "Map", "Set",
+  "Error", "TypeError", "RangeError",
+  "parseInt", "parseFloat", "isNaN", "isFinite",
+  "NaN", "Infinity", "undefined", "globalThis",
+];
+
+// Strips every non-allowlisted global, then parses the data inside the context
+// so no host-realm object (and its Function constructor) ever leaks in.
+const PRELUDE = `(() => {
+  "use strict";
+  const allowed = new Set(${JSON.stringify(SAFE_GLOBALS)});
+  for (const name of Object.getOwnPropertyNames(globalThis)) {
+    if (name === "__data" || allowed.has(name)) continue;
+    try { delete globalThis[name]; } catch (e) {}
+  }
+  const freeze = (value) => {
+    if (value && typeof value === "object") {
+      Object.values(value).forEach(freeze);
+      Object.freeze(value);
+    }
+    return value;
+  };
+  Object.defineProperty(globalThis, "rows", { value: freeze(JSON.parse(globalThis.__data)), enumerable: true });
+  delete globalThis.__data;
+})();`;
+
+const { expr, data, timeoutMs } = workerData;
+
+const fail = (code, message) => parentPort.postMessage({ ok: false, code, message });
+
+const context = vm.createContext(Object.create(null), {
+  codeGeneration: { strings: false, wasm: false },
+  microtaskMode: "afterEvaluate",
+});
+context.__data = data;
+vm.runInContext(PRELUDE, context);
+
+let script;
+try {
+  script = new vm.Script(`"use strict"; JSON.stringify((${expr}));`, { filename: "expression.js" });
+} catch (err) {
+  fail("syntax_error", err.message);
+  return;
+}
+
+let output;
+try {
+  output = script.runInContext(context, { timeout: timeoutMs, breakOnSigint: false });
+} catch (err) {
+  if (err && err.code === "ERR_SCRIPT_EXECUTION_TIMEOUT") {
+    fail("timeout", `Expression exceeded the ${timeoutMs}ms time budget`);
+  } else {
+    fail("runtime_error", String(err && err.message ? err.message : err));
+  }
+  return;
+}
+
+if (output === undefined) {
+  parentPort.postMessage({ ok: true, value: null });
+} else if (typeof output !== "string") {
+  fail("invalid_result", "Expression result could not be serialized");
+} else {
+  parentPort.postMessage({ ok: true, value: JSON.parse(output) });
+}
@@ -0,0 +1,85 @@
+const path = require("path");
+const { Worker } = require("worker_threads");
+
+// --- Isolated evaluator for model-written expressions ---
+// Each expression runs in its own worker thread (memory cap, hard kill) and,
+// inside it, in a bare V8 context (CPU budget, no process/require/eval).
+
+const TIMEOUT_MS = Number(process.env.SANDBOX_TIMEOUT_MS) || 1000;
+const MEMORY_MB = Number(process.env.SANDBOX_MEMORY_MB) || 64;
+// Wall-clock allowance for worker startup and parsing the data copy
+const STARTUP_GRACE_MS = 2000;
+
+const WORKER_PATH = path.join(__dirname, "sandbox-worker.js");
+
+class SandboxError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = "SandboxError";
+    this.code = code;
+  }
+
+  toJSON() {
+    return { code: this.code, message: this.message };
+  }
+}
+
+// Rows are serialized once per array and reused across evaluations
+const serializedRows = new WeakMap();
+
+function serializeRows(rows) {
+  if (!serializedRows.has(rows)) {
+    serializedRows.set(rows, JSON.stringify(rows));
+  }
+  return serializedRows.get(rows);
+}
+
+function evaluate(expr, rows, { timeoutMs = TIMEOUT_MS, memoryMb = MEMORY_MB } = {}) {
+  if (typeof expr !== "string" || !expr.trim()) {
+    return Promise.reject(new SandboxError("invalid_expression", "Expression must be a non-empty string"));
+  }
+
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(WORKER_PATH, {
+      workerData: { expr, data: serializeRows(rows), timeoutMs },
+      resourceLimits: {
+        maxOldGenerationSizeMb: memoryMb,
+        maxYoungGenerationSizeMb: Math.max(4, Math.round(memoryMb / 4)),
+        stackSizeMb: 4,
+      },
+      env: {},
+    });
+
+    let settled = false;
+    const finish = (settle, value) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      worker.terminate();
+      settle(value);
+    };
+
+    const timer = setTimeout(() => {
+      finish(reject, new SandboxError("timeout", `Expression exceeded the ${timeoutMs}ms time budget`));
+    }, timeoutMs + STARTUP_GRACE_MS);
+
+    worker.once("message", (msg) => {
+      if (msg.ok) finish(resolve, msg.value);
+      else finish(reject, new SandboxError(msg.code, msg.message));
+    });
+
+    worker.once("error", (err) => {
+      if (err.code === "ERR_WORKER_OUT_OF_MEMORY") {
+        finish(reject, new SandboxError("memory_limit", `Expression exceeded the ${memoryMb}MB memory cap`));
+      } else {
+        finish(reject, new SandboxError("runtime_error", err.message));
+      }
+    });
+
+    worker.once("exit", (code) => {
+      finish(reject, new SandboxError("worker_exit", `Evaluator exited unexpectedly (code ${code})`));
+    });
+  });
+}
+
+module.exports = { evaluate, SandboxError };
@@ -0,0 +1,56 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+// --- Share links ---
+// A share id stands for a view state (dataset, dashboard, tab, filters, category selections)
+// that is too long to paste comfortably as URL parameters. Ids are a hash of the state, so
+// sharing the same view twice gives the same link.
+
+const STORE_PATH = process.env.SHARE_STORE || path.join(__dirname, "..", "data", "shares.json");
+const MAX_STATE_CHARS = 20000;
+
+let shares = new Map();
+
+function load() {
+  try {
+    const stored = JSON.parse(fs.readFileSync(STORE_PATH, "utf-8"));
+    shares = new Map((stored.shares || []).map((s) => [s.id, s]));
+  } catch (err) {
+    if (err.code !== "ENOENT") console.error("Share store unreadable, starting empty:", err.message);
+    shares = new Map();
+  }
+}
+
+function persist() {
+  fs.mkdirSync(path.dirname(STORE_PATH), { recursive: true });
+  const tmpPath = `${STORE_PATH}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify({ shares: [...shares.values()] }, null, 2));
+  fs.renameSync(tmpPath, STORE_PATH);
+}
+
+// State is a flat map of URL parameter names to string values; returns an error message or null
+function validateState(state) {
+  if (!state || typeof state !== "object" || Array.isArray(state)) return "state must be an object";
+  if (Object.values(state).some((value) => typeof value !== "string")) return "state values must be strings";
+  if (JSON.stringify(state).length > MAX_STATE_CHARS) return "state is too large to share";
+  return null;
+}
+
+function createShare(state) {
+  const text = JSON.stringify(state, Object.keys(state).sort());
+  const id = crypto.createHash("sha1").update(text).digest("hex").slice(0, 10);
+  if (!shares.has(id)) {
+    shares.set(id, { id, state, createdAt: new Date().toISOString() });
+    persist();
+  }
+  return shares.get(id);
+}
+
+function getShare(id) {
+  return shares.get(id) || null;
+}
+
+load();
+
+module.exports = { validateState, createShare, getShare };
@@ -0,0 +1,447 @@
+const { isMissing } = require("./profile");
+
+// --- Statistical tests ---
+// Significance tests the chat model can call before claiming a group "stands out":
+// chi-square for two categoricals, Welch t-test / ANOVA and Mann-Whitney / Kruskal-Wallis
+// for a numeric value by group, and Pearson / Spearman correlations. Every result carries
+// a p-value, an effect size and, where it has one, a 95% confidence interval.
+
+class StatsError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "StatsError";
+    this.code = "invalid_test";
+  }
+}
+
+const TESTS = ["chi_square", "t_test", "anova", "mann_whitney", "kruskal_wallis", "pearson", "spearman"];
+const ALPHA = 0.05;
+const MAX_GROUPS = 30;
+
+const round = (n, digits = 4) => (Number.isFinite(n) ? Number(n.toFixed(digits)) : null);
+const sum = (xs) => xs.reduce((a, b) => a + b, 0);
+const mean = (xs) => sum(xs) / xs.length;
+
+function variance(xs) {
+  const m = mean(xs);
+  return xs.length > 1 ? sum(xs.map((x) => (x - m) ** 2)) / (xs.length - 1) : 0;
+}
+
+function median(xs) {
+  const sorted = [...xs].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// --- Distribution functions ---
+// Lanczos approximation of ln Γ(x)
+function logGamma(x) {
+  const g = [676.5203681218851, -1259.1392167224028, 771.32342877765313, -176.61502916214059,
+    12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7];
+  if (x < 0.5) return Math.log(Math.PI / Math.sin(Math.PI * x)) - logGamma(1 - x);
+  x -= 1;
+  let a = 0.99999999999980993;
+  const t = x + 7.5;
+  for (let i = 0; i < 8; i++) a += g[i] / (x + i + 1);
+  return 0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(t) - t + Math.log(a);
+}
+
+// Regularized lower incomplete gamma P(a, x)
+function gammaP(a, x) {
+  if (x <= 0) return 0;
+  if (x < a + 1) {
+    let term = 1 / a;
+    let total = term;
+    for (let n = 1; n < 500; n++) {
+      term *= x / (a + n);
+      total += term;
+      if (Math.abs(term) < Math.abs(total) * 1e-14) break;
+    }
+    return total * Math.exp(-x + a * Math.log(x) - logGamma(a));
+  }
+  // Continued fraction for the upper tail
+  let b = x + 1 - a;
+  let c = 1 / 1e-300;
+  let d = 1 / b;
+  let h = d;
+  for (let i = 1; i < 500; i++) {
+    const an = -i * (i - a);
+    b += 2;
+    d = an * d + b;
+    if (Math.abs(d) < 1e-300) d = 1e-300;
+    c = b + an / c;
+    if (Math.abs(c) < 1e-300) c = 1e-300;
+    d = 1 / d;
+    h *= d * c;
+    if (Math.abs(d * c - 1) < 1e-14) break;
+  }
+  return 1 - Math.exp(-x + a * Math.log(x) - logGamma(a)) * h;
+}
+
+function betaContinuedFraction(a, b, x) {
+  let c = 1;
+  let d = 1 - ((a + b) * x) / (a + 1);
+  if (Math.abs(d) < 1e-300) d = 1e-300;
+  d = 1 / d;
+  let h = d;
+  for (let m = 1; m < 500; m++) {
+    const m2 = 2 * m;
+    let aa = (m * (b - m) * x) / ((a + m2 - 1) * (a + m2));
+    d = 1 + aa * d;
+    if (Math.abs(d) < 1e-300) d = 1e-300;
+    c = 1 + aa / c;
+    if (Math.abs(c) < 1e-300) c = 1e-300;
+    d = 1 / d;
+    h *= d * c;
+    aa = (-(a + m) * (a + b + m) * x) / ((a + m2) * (a + m2 + 1));
+    d = 1 + aa * d;
+    if (Math.abs(d) < 1e-300) d = 1e-300;
+    c = 1 + aa / c;
+    if (Math.abs(c) < 1e-300) c = 1e-300;
+    d = 1 / d;
+    const delta = d * c;
+    h *= delta;
+    if (Math.abs(delta - 1) < 1e-14) break;
+  }
+  return h;
+}
+
+// Regularized incomplete beta I_x(a, b)
+function betaI(a, b, x) {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+  const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+  return x < (a + 1) / (a + b + 2)
+    ? (front * betaContinuedFraction(a, b, x)) / a
+    : 1 - (front * betaContinuedFraction(b, a, 1 - x)) / b;
+}
+
+const chiSquareSf = (x, df) => 1 - gammaP(df / 2, x / 2);
+// Two-sided p-value for Student's t
+const tTwoSided = (t, df) => betaI(df / 2, 0.5, df / (df + t * t));
+const fSf = (f, df1, df2) => betaI(df2 / 2, df1 / 2, df2 / (df2 + df1 * f));
+
+function normalCdf(z) {
+  // Abramowitz–Stegun 7.1.26 via erf
+  const t = 1 / (1 + 0.3275911 * Math.abs(z / Math.SQRT2));
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-((z / Math.SQRT2) ** 2));
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+// Two-sided critical t value for a (1 - ALPHA) interval, by bisection
+function tCritical(df) {
+  let lo = 0;
+  let hi = 1000;
+  for (let i = 0; i < 100; i++) {
+    const mid = (lo + hi) / 2;
+    if (tTwoSided(mid, df) > ALPHA) lo = mid;
+    else hi = mid;
+  }
+  return (lo + hi) / 2;
+}
+
+// --- Data extraction ---
+function requireColumn(dataset, column, { numeric = false } = {}) {
+  if (!dataset.columns.includes(column)) throw new StatsError(`unknown column "${column}"`);
+  if (numeric && !dataset.numericCols.includes(column)) throw new StatsError(`column "${column}" is not numeric`);
+}
+
+// Numeric values per group, in descending group size; `only` restricts to listed groups
+function groupValues(rows, groupColumn, valueColumn, only) {
+  const groups = new Map();
+  for (const row of rows) {
+    if (isMissing(row[groupColumn]) || isMissing(row[valueColumn])) continue;
+    const value = Number(row[valueColumn]);
+    if (Number.isNaN(value)) continue;
+    const name = String(row[groupColumn]);
+    if (only && !only.includes(name)) continue;
+    if (!groups.has(name)) groups.set(name, []);
+    groups.get(name).push(value);
+  }
+  return [...groups.entries()]
+    .map(([name, values]) => ({ name, values }))
+    .sort((a, b) => b.values.length - a.values.length);
+}
+
+function describeGroups(groups) {
+  return groups.map((g) => ({
+    group: g.name,
+    n: g.values.length,
+    mean: round(mean(g.values), 3),
+    median: round(median(g.values), 3),
+    sd: round(Math.sqrt(variance(g.values)), 3),
+  }));
+}
+
+// Average ranks (ties share their mean rank) plus the tie correction term Σ(t³ - t)
+function rank(values) {
+  const order = values.map((v, i) => [v, i]).sort((a, b) => a[0] - b[0]);
+  const ranks = new Array(values.length);
+  let ties = 0;
+  for (let i = 0; i < order.length; ) {
+    let j = i;
+    while (j + 1 < order.length && order[j + 1][0] === order[i][0]) j++;
+    const avg = (i + j) / 2 + 1;
+    for (let k = i; k <= j; k++) ranks[order[k][1]] = avg;
+    const t = j - i + 1;
+    ties += t ** 3 - t;
+    i = j + 1;
+  }
+  return { ranks, ties };
+}
+
+function result(test, fields) {
+  return { test, ...fields, pValue: round(fields.pValue, 6), significant: fields.pValue < ALPHA, alpha: ALPHA };
+}
+
+// --- Tests ---
+function chiSquare(rows, a, b) {
+  if (a === b) throw new StatsError("chi-square needs two different columns");
+  const table = new Map();
+  const colTotals = new Map();
+  let n = 0;
+  for (const row of rows) {
+    if (isMissing(row[a]) || isMissing(row[b])) continue;
+    const r = String(row[a]);
+    const c = String(row[b]);
+    if (!table.has(r)) table.set(r, new Map());
+    table.get(r).set(c, (table.get(r).get(c) || 0) + 1);
+    colTotals.set(c, (colTotals.get(c) || 0) + 1);
+    n++;
+  }
+  const rowNames = [...table.keys()];
+  const colNames = [...colTotals.keys()];
+  if (rowNames.length < 2 || colNames.length < 2) throw new StatsError("chi-square needs at least two values in each column");
+
+  let statistic = 0;
+  let lowExpected = 0;
+  for (const r of rowNames) {
+    const rowTotal = sum([...table.get(r).values()]);
+    for (const c of colNames) {
+      const expected = (rowTotal * colTotals.get(c)) / n;
+      const observed = table.get(r).get(c) || 0;
+      if (expected < 5) lowExpected++;
+      statistic += (observed - expected) ** 2 / expected;
+    }
+  }
+  const df = (rowNames.length - 1) * (colNames.length - 1);
+  const cramersV = Math.sqrt(statistic / (n * Math.min(rowNames.length - 1, colNames.length - 1)));
+  return result("chi_square", {
+    columns: [a, b],
+    n,
+    statistic: round(statistic),
+    df,
+    pValue: chiSquareSf(statistic, df),
+    effectSize: { name: "Cramér's V", value: round(cramersV, 3) },
+    ...(lowExpected > 0 && {
+      warning: `${lowExpected} of ${rowNames.length * colNames.length} cells have an expected count below 5; the p-value is approximate`,
+    }),
+  });
+}
+
+function twoGroups(groups, test) {
+  if (groups.length !== 2) {
+    throw new StatsError(`${test} compares exactly two groups (found ${groups.length}); pass "groups" to pick two, or use ${test === "t_test" ? "anova" : "kruskal_wallis"}`);
+  }
+  if (groups.some((g) => g.values.length < 2)) throw new StatsError("each group needs at least two values");
+  return groups;
+}
+
+// Welch's t-test, with a CI for the difference in means and Hedges' g
+function tTest(groups) {
+  const [a, b] = twoGroups(groups, "t_test").map((g) => g.values);
+  const va = variance(a) / a.length;
+  const vb = variance(b) / b.length;
+  const diff = mean(a) - mean(b);
+  const se = Math.sqrt(va + vb);
+  const t = diff / se;
+  const df = (va + vb) ** 2 / (va ** 2 / (a.length - 1) + vb ** 2 / (b.length - 1));
+  const margin = tCritical(df) * se;
+
+  const pooled = Math.sqrt(((a.length - 1) * variance(a) + (b.length - 1) * variance(b)) / (a.length + b.length - 2));
+  const correction = 1 - 3 / (4 * (a.length + b.length) - 9);
+  return result("t_test", {
+    statistic: round(t),
+    df: round(df, 2),
+    pValue: tTwoSided(t, df),
+    meanDifference: round(diff, 3),
+    ci95: [round(diff - margin, 3), round(diff + margin, 3)],
+    effectSize: { name: "Hedges' g", value: round(pooled ? (diff / pooled) * correction : 0, 3) },
+  });
+}
+
+function anova(groups) {
+  if (groups.length < 2) throw new StatsError("anova needs at least two groups");
+  const all = groups.flatMap((g) => g.values);
+  const grand = mean(all);
+  const ssBetween = sum(groups.map((g) => g.values.length * (mean(g.values) - grand) ** 2));
+  const ssWithin = sum(groups.map((g) => sum(g.values.map((v) => (v - mean(g.values)) ** 2))));
+  const df1 = groups.length - 1;
+  const df2 = all.length - groups.length;
+  if (df2 < 1) throw new StatsError("anova needs more values than groups");
+  const f = ssWithin === 0 ? Infinity : ssBetween / df1 / (ssWithin / df2);
+  return result("anova", {
+    statistic: round(f),
+    df: [df1, df2],
+    pValue: Number.isFinite(f) ? fSf(f, df1, df2) : 0,
+    effectSize: { name: "eta squared", value: round(ssBetween / (ssBetween + ssWithin), 3) },
+  });
+}
+
+// Normal approximation with tie correction; effect size is the rank-biserial correlation
+function mannWhitney(groups) {
+  const [a, b] = twoGroups(groups, "mann_whitney").map((g) => g.values);
+  const { ranks, ties } = rank([...a, ...b]);
+  const n1 = a.length;
+  const n2 = b.length;
+  const n = n1 + n2;
+  const u1 = sum(ranks.slice(0, n1)) - (n1 * (n1 + 1)) / 2;
+  const mu = (n1 * n2) / 2;
+  const sigma = Math.sqrt(((n1 * n2) / 12) * (n + 1 - ties / (n * (n - 1))));
+  const z = sigma ? (u1 - mu - Math.sign(u1 - mu) * 0.5) / sigma : 0;
+  return result("mann_whitney", {
+    statistic: round(u1),
+    z: round(z),
+    pValue: 2 * (1 - normalCdf(Math.abs(z))),
+    effectSize: { name: "rank-biserial r", value: round((2 * u1) / (n1 * n2) - 1, 3) },
+  });
+}
+
+function kruskalWallis(groups) {
+  if (groups.length < 2) throw new StatsError("kruskal_wallis needs at least two groups");
+  const all = groups.flatMap((g) => g.values);
+  const n = all.length;
+  const { ranks, ties } = rank(all);
+  let offset = 0;
+  let h = 0;
+  for (const g of groups) {
+    const r = sum(ranks.slice(offset, offset + g.values.length));
+    h += r ** 2 / g.values.length;
+    offset += g.values.length;
+  }
+  h = (12 / (n * (n + 1))) * h - 3 * (n + 1);
+  h /= 1 - ties / (n ** 3 - n) || 1;
+  const df = groups.length - 1;
+  return result("kruskal_wallis", {
+    statistic: round(h),
+    df,
+    pValue: chiSquareSf(h, df),
+    effectSize: { name: "epsilon squared", value: round(h / (n - 1), 3) },
+  });
+}
+
+function pairedValues(rows, x, y) {
+  const xs = [];
+  const ys = [];
+  for (const row of rows) {
+    if (isMissing(row[x]) || isMissing(row[y])) continue;
+    const a = Number(row[x]);
+    const b = Number(row[y]);
+    if (Number.isNaN(a) || Number.isNaN(b)) continue;
+    xs.push(a);
+    ys.push(b);
+  }
+  return { xs, ys };
+}
+
+function pearsonR(xs, ys) {
+  const mx = mean(xs);
+  const my = mean(ys);
+  let sxy = 0;
+  let sxx = 0;
+  let syy = 0;
+  for (let i = 0; i < xs.length; i++) {
+    sxy += (xs[i] - mx) * (ys[i] - my);
+    sxx += (xs[i] - mx) ** 2;
+    syy += (ys[i] - my) ** 2;
+  }
+  return sxx === 0 || syy === 0 ? NaN : sxy / Math.sqrt(sxx * syy);
+}
+
+// Pearson on values or (for Spearman) on ranks; t-test p-value and a Fisher-z 95% CI
+function correlation(rows, x, y, method) {
+  const { xs, ys } = pairedValues(rows, x, y);
+  const n = xs.length;
+  if (n < 4) throw new StatsError("a correlation needs at least four rows with both values");
+  const r = method === "spearman" ? pearsonR(rank(xs).ranks, rank(ys).ranks) : pearsonR(xs, ys);
+  if (Number.isNaN(r)) throw new StatsError("one of the columns is constant");
+
+  const clipped = Math.max(Math.min(r, 0.999999), -0.999999);
+  const t = clipped * Math.sqrt((n - 2) / (1 - clipped ** 2));
+  const z = Math.atanh(clipped);
+  const se = 1 / Math.sqrt(n - 3);
+  return result(method, {
+    columns: [x, y],
+    n,
+    statistic: round(t),
+    df: n - 2,
+    pValue: tTwoSided(t, n - 2),
+    ci95: [round(Math.tanh(z - 1.96 * se), 3), round(Math.tanh(z + 1.96 * se), 3)],
+    effectSize: { name: method === "spearman" ? "Spearman rho" : "Pearson r", value: round(r, 3) },
+  });
+}
+
+// Least-squares line for a scatter chart, with R² and the slope's p-value
+function linearRegression(xs, ys) {
+  const pairs = xs.map((x, i) => [Number(x), Number(ys[i])]).filter(([x, y]) => Number.isFinite(x) && Number.isFinite(y));
+  const n = pairs.length;
+  if (n < 3) return null;
+  const mx = mean(pairs.map((p) => p[0]));
+  const my = mean(pairs.map((p) => p[1]));
+  const sxx = sum(pairs.map(([x]) => (x - mx) ** 2));
+  if (sxx === 0) return null;
+  const slope = sum(pairs.map(([x, y]) => (x - mx) * (y - my))) / sxx;
+  const intercept = my - slope * mx;
+  const ssTot = sum(pairs.map(([, y]) => (y - my) ** 2));
+  const ssRes = sum(pairs.map(([x, y]) => (y - intercept - slope * x) ** 2));
+  const r2 = ssTot ? 1 - ssRes / ssTot : 0;
+  const t = ssRes > 0 ? slope / Math.sqrt(ssRes / (n - 2) / sxx) : Infinity;
+  return {
+    slope: round(slope),
+    intercept: round(intercept),
+    r2: round(r2, 3),
+    n,
+    pValue: round(Number.isFinite(t) && n > 2 ? tTwoSided(t, n - 2) : 0, 6),
+  };
+}
+
+// Run one test on the given rows. spec: { test, groupColumn, valueColumn, groups, xColumn, yColumn }
+function runTest(spec, rows, dataset) {
+  const { test } = spec;
+  if (!TESTS.includes(test)) throw new StatsError(`test must be one of ${TESTS.join(", ")}`);
+
+  if (test === "chi_square") {
+    requireColumn(dataset, spec.xColumn);
+    requireColumn(dataset, spec.yColumn);
+    return chiSquare(rows, spec.xColumn, spec.yColumn);
+  }
+
+  if (test === "pearson" || test === "spearman") {
+    requireColumn(dataset, spec.xColumn, { numeric: true });
+    requireColumn(dataset, spec.yColumn, { numeric: true });
+    return correlation(rows, spec.xColumn, spec.yColumn, test);
+  }
+
+  requireColumn(dataset, spec.groupColumn);
+  requireColumn(dataset, spec.valueColumn, { numeric: true });
+  const only = Array.isArray(spec.groups) && spec.groups.length > 0 ? spec.groups.map(String) : null;
+  const groups = groupValues(rows, spec.groupColumn, spec.valueColumn, only);
+  if (groups.length > MAX_GROUPS) throw new StatsError(`too many groups (${groups.length}); pick at most ${MAX_GROUPS}`);
+
+  const run = { t_test: tTest, anova, mann_whitney: mannWhitney, kruskal_wallis: kruskalWallis }[test];
+  return {
+    ...run(groups),
+    groupColumn: spec.groupColumn,
+    valueColumn: spec.valueColumn,
+    groups: describeGroups(groups),
+  };
+}
+
+// One line for chat history and captions, e.g. "t_test: p = 0.012 (Hedges' g = 0.51)"
+function describeTest(res) {
+  const effect = res.effectSize ? ` (${res.effectSize.name} = ${res.effectSize.value})` : "";
+  return `${res.test}: p = ${res.pValue}${effect}${res.significant ? ", significant" : ", not significant"} at α = ${res.alpha}`;
+}
+
+module.exports = { TESTS, StatsError, runTest, linearRegression, describeTest };
@@ -0,0 +1,463 @@
+const sandbox = require("./sandbox");
+const datasets = require("./datasets");
+const { correlationMatrix, measureColumns } = require("./profile");
+const { QUERY_SCHEMA, QueryError, runQuery, withFilters } = require("./query");
+const actions = require("./actions");
+const stats = require("./stats");
+const dashboards = require("./dashboards");
+const { recipeFromChart } = require("./recipes");
+
+// --- Claude tool definitions and their server-side handlers ---
+
+// Cap on a tool result sent back to the model, so a huge array can't flood the context
+const MAX_RESULT_CHARS = 4000;
+
+const COMPUTE_TOOL = {
+  name: "compute",
+  description:
+    "Evaluate a JavaScript expression against `rows` (the dataset rows left after any active dashboard filters, an array of row objects whose values are strings) and get the result back. " +
+    "Use only basic JS (map, filter, reduce, sort, Set, Map, Math, Object, JSON). The expression must return JSON-serializable data. " +
+    "Arrays of objects and maps of group → value (or group → object) are shown to the user as a table. " +
+    "Call this whenever a question needs an exact number, then explain the result.",
+  input_schema: {
+    type: "object",
+    properties: {
+      expression: { type: "string", description: "A single JavaScript expression, e.g. rows.filter(r => r.gender === \"Female\").length" },
+    },
+    required: ["expression"],
+  },
+};
+
+const QUERY_TOOL = {
+  name: "query",
+  description:
+    "Run a declarative query (derive, filter, group, aggregate, sort, limit) against the dataset and get the result table back. " +
+    "Prefer this over compute whenever the question fits it: queries are validated against the columns and shown to the user.",
+  input_schema: {
+    type: "object",
+    properties: { query: QUERY_SCHEMA },
+    required: ["query"],
+  },
+};
+
+const STATS_TOOL = {
+  name: "stats_test",
+  description:
+    "Run a significance test on `rows` (after any active dashboard filters) and get the p-value, effect size and, where it has one, a 95% confidence interval. " +
+    "chi_square: are two categorical columns (xColumn, yColumn) related? " +
+    "t_test / mann_whitney: does a numeric valueColumn differ between two groups of groupColumn (pass `groups` to pick two)? " +
+    "anova / kruskal_wallis: does it differ across all groups? " +
+    "pearson / spearman: are two numeric columns (xColumn, yColumn) correlated? " +
+    "Use mann_whitney, kruskal_wallis or spearman when values are skewed or ordinal.",
+  input_schema: {
+    type: "object",
+    properties: {
+      test: { type: "string", enum: stats.TESTS },
+      groupColumn: { type: "string", description: "Column whose values define the groups (t_test, anova, mann_whitney, kruskal_wallis)" },
+      valueColumn: { type: "string", description: "Numeric column compared across the groups" },
+      groups: { type: "array", items: { type: "string" }, description: "Optional: only compare these groups" },
+      xColumn: { type: "string", description: "First column (chi_square, pearson, spearman)" },
+      yColumn: { type: "string", description: "Second column (chi_square, pearson, spearman)" },
+    },
+    required: ["test"],
+  },
+};
+
+const CHART_TYPES = ["bar", "line", "pie", "scatter", "histogram", "box", "violin", "heatmap", "correlation"];
+
+const CORRELATION_COLUMNS = {
+  type: "array",
+  items: { type: "string" },
+  description: "Correlation charts only: the numeric columns to include (default: all numeric measures)",
+};
+
+const TRENDLINE_PROPERTY = { type: "boolean", description: "Scatter charts only: draw a least-squares line with its R²" };
+
+// Extra dimensions shared by chat charts and dashboard recipes
+const SERIES_PROPERTIES = {
+  colorColumn: { type: "string", description: "Optional series column: one colored bar group, line or point set per value" },
+  facetColumn: { type: "string", description: "Optional facet column: one small-multiple panel per value (up to 6)" },
+  barMode: {
+    type: "string",
+    enum: ["grouped", "stacked", "percent"],
+    description: "How bars with a colorColumn are drawn; percent stacks them to 100%",
+  },
+};
+
+const CHART_TOOL = {
+  name: "create_chart",
+  description:
+    "Render a Plotly chart for the user. Preferably give a `query` plus xColumn/yColumn naming columns of its result " +
+    "(xColumn = labels or x, yColumn = values or y; histograms only need xColumn). " +
+    "Alternatively give `data` fields as JavaScript expressions evaluated against `rows` that return arrays: " +
+    "labels/values for bar, line, pie and histogram charts and x/y for scatter charts. " +
+    "To split by a second or third dimension, group the query by them and name them as colorColumn / facetColumn. " +
+    "Box and violin charts take raw rows: select the category (xColumn) and numeric value (yColumn). " +
+    "Heatmaps take a query grouped by two columns (xColumn, yColumn) with the cell value in valueColumn. " +
+    "Correlation charts need no query: they correlate `columns` over the current rows. " +
+    "Set pinToDashboard when the user asks to add the chart to their dashboard.",
+  input_schema: {
+    type: "object",
+    properties: {
+      type: { type: "string", enum: CHART_TYPES },
+      title: { type: "string" },
+      query: QUERY_SCHEMA,
+      xColumn: { type: "string", description: "Query result column for labels / x" },
+      yColumn: { type: "string", description: "Query result column for values / y" },
+      valueColumn: { type: "string", description: "Heatmaps only: query result column with the cell values" },
+      columns: CORRELATION_COLUMNS,
+      ...SERIES_PROPERTIES,
+      trendline: TRENDLINE_PROPERTY,
+      description: { type: "string", description: "One sentence on what the chart shows, used as the card description if it is pinned" },
+      pinToDashboard: { type: "boolean", description: "Also add this chart to the dashboard the user is viewing, as a new card" },
+      data: {
+        type: "object",
+        properties: {
+          labels: { type: "string", description: "Expression returning a string array" },
+          values: { type: "string", description: "Expression returning a number array" },
+          x: { type: "string", description: "Expression returning a number array (scatter)" },
+          y: { type: "string", description: "Expression returning a number array (scatter)" },
+        },
+      },
+      xLabel: { type: "string" },
+      yLabel: { type: "string" },
+    },
+    required: ["type", "title"],
+  },
+};
+
+const DASHBOARD_TOOL = {
+  name: "create_dashboard_recipes",
+  description: "Return the chart recipes for the dashboard. The dashboard computes the data and handles filtering.",
+  input_schema: {
+    type: "object",
+    properties: {
+      recipes: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            title: { type: "string" },
+            description: { type: "string", description: "One sentence explaining the key insight." },
+            type: { type: "string", enum: CHART_TYPES },
+            xColumn: { type: ["string", "null"] },
+            yColumn: { type: ["string", "null"] },
+            columns: CORRELATION_COLUMNS,
+            ...SERIES_PROPERTIES,
+            aggregation: { type: "string", enum: ["count", "average", "sum", "none"] },
+            trendline: TRENDLINE_PROPERTY,
+            binWidth: { type: "number", description: "Histograms only: fixed bin width, e.g. 10 for 10-year age bands." },
+            binCount: { type: "integer", description: "Histograms only: number of bins, when binWidth isn't set." },
+            query: {
+              ...QUERY_SCHEMA,
+              description: "Optional. When set, the server runs this query and xColumn/yColumn name columns of its result.",
+            },
+          },
+          required: ["title", "description", "type", "xColumn", "yColumn", "aggregation"],
+        },
+      },
+    },
+    required: ["recipes"],
+  },
+};
+
+// Plain-language write-ups of the insight miner's findings
+const INSIGHTS_TOOL = {
+  name: "narrate_insights",
+  description: "Return a headline and a short narrative for each finding, in the order given.",
+  input_schema: {
+    type: "object",
+    properties: {
+      insights: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            id: { type: "string", description: "The finding's id, copied exactly." },
+            headline: { type: "string", description: "Under 12 words, stating the finding plainly." },
+            narrative: { type: "string", description: "One or two sentences on what the evidence shows and why it matters. Don't claim causation." },
+          },
+          required: ["id", "headline", "narrative"],
+        },
+      },
+    },
+    required: ["insights"],
+  },
+};
+
+const CHART_DATA_KEYS = ["labels", "values", "x", "y"];
+
+const DASHBOARD_ACTION_TOOL = {
+  name: "dashboard_action",
+  description:
+    "Change what the user sees on the dashboard: set or clear cross-filters, pick the categories a card shows, highlight a card, or switch tabs. " +
+    "The browser applies the actions and lists each one in the chat with an undo button. " +
+    "Filters set here also apply to the queries you run afterwards in this answer. Cards are numbered from 1 in dashboard order.",
+  input_schema: {
+    type: "object",
+    properties: {
+      actions: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            type: { type: "string", enum: actions.ACTION_TYPES },
+            column: { type: "string", description: "set_filter / clear_filter: the column" },
+            values: { type: "array", items: { type: "string" }, description: "set_filter: keep rows whose column is one of these values" },
+            range: { type: "array", items: { type: "number" }, description: "set_filter on a numeric column: [min, max] instead of values" },
+            card: { type: "integer", description: "select_categories / highlight_card: card number, 1 = first" },
+            categories: { type: "array", items: { type: "string" }, description: "select_categories: the x values the card shows (bar, pie, box and violin cards whose x is neither numeric nor ordered)" },
+            tab: { type: "string", enum: actions.TABS },
+          },
+          required: ["type"],
+        },
+      },
+    },
+    required: ["actions"],
+  },
+};
+
+// create_chart is offered outside visualization mode too, for charts the user asks to pin;
+// the system prompt decides when the model draws one unprompted
+const CHAT_TOOLS = [QUERY_TOOL, COMPUTE_TOOL, STATS_TOOL, CHART_TOOL, DASHBOARD_ACTION_TOOL];
+
+function truncateResult(value) {
+  const text = JSON.stringify(value === undefined ? null : value);
+  return text.length > MAX_RESULT_CHARS ? `${text.slice(0, MAX_RESULT_CHARS)}… (truncated)` : text;
+}
+
+// --- Result tables: tabular tool results, shown under the reply as sortable tables ---
+const MAX_TABLE_ROWS = 1000;
+const MAX_TABLE_COLUMNS = 30;
+
+const isPlainObject = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+const isScalar = (v) => v === null || ["string", "number", "boolean"].includes(typeof v);
+const cell = (v) => (isScalar(v) ? v : JSON.stringify(v));
+
+// { columns, rows (arrays), totalRows } for an array of objects or a grouped map, else null
+function tabulate(result) {
+  let columns;
+  let records;
+  if (Array.isArray(result) && result.length > 0 && result.every(isPlainObject)) {
+    columns = [...new Set(result.flatMap((r) => Object.keys(r)))];
+    records = result;
+  } else if (isPlainObject(result) && Object.keys(result).length > 0) {
+    const values = Object.values(result);
+    if (values.every(isScalar)) {
+      columns = ["key", "value"];
+      records = Object.entries(result).map(([key, value]) => ({ key, value }));
+    } else if (values.every(isPlainObject)) {
+      columns = ["key", ...new Set(values.flatMap((v) => Object.keys(v)))];
+      records = Object.entries(result).map(([key, value]) => ({ ...value, key }));
+    }
+  }
+  if (!columns || columns.length > MAX_TABLE_COLUMNS) return null;
+  return {
+    columns,
+    rows: records.slice(0, MAX_TABLE_ROWS).map((r) => columns.map((c) => (r[c] === undefined ? null : cell(r[c])))),
+    totalRows: records.length,
+  };
+}
+
+// Structured error entry for the chat reply
+function toToolError(source, err) {
+  return {
+    source,
+    code: [sandbox.SandboxError, QueryError, stats.StatsError, actions.ActionError].some((type) => err instanceof type) ? err.code : "tool_error",
+    message: err.message,
+  };
+}
+
+// What a tool call ran, as shown under "How this was computed": the expression, the query
+// (in its readable form once it has run), the chart's source, or else the call's input
+function describeToolCall(name, input, outcome) {
+  const computed = outcome && outcome.computed;
+  const chart = outcome && outcome.chart;
+  const json = (value) => JSON.stringify(value, null, 2);
+  switch (name) {
+    case "compute": return input.expression;
+    case "query": return computed ? computed.queryText : json(input.query);
+    case "create_chart":
+      if (chart && chart.queryText) return chart.queryText;
+      if (input.type === "correlation") return `correlation of ${(input.columns || ["every numeric measure"]).join(", ")}`;
+      return input.query ? json(input.query) : json(input.data || {});
+    case "dashboard_action": return json(input.actions);
+    default: return json(input);
+  }
+}
+
+const MAX_FACETS = 6;
+
+// Query rows (one per x × series × facet cell) → { labels, series } or { labels, facets: [{ name, series }] }
+function pivotSeries(rows, { xColumn, yColumn, colorColumn, facetColumn }, orders = {}) {
+  // Distinct values in the column's category order where it has one, else first-seen order
+  const distinct = (col) => {
+    if (!col) return [null];
+    const values = [...new Set(rows.map((r) => String(r[col])))];
+    const order = orders[col];
+    if (!order) return values;
+    const rank = (v) => (order.includes(v) ? order.indexOf(v) : order.length);
+    return values.sort((a, b) => rank(a) - rank(b));
+  };
+  const labels = distinct(xColumn);
+  const cell = new Map(
+    rows.map((r) => [JSON.stringify([facetColumn ? String(r[facetColumn]) : null, String(r[xColumn]), colorColumn ? String(r[colorColumn]) : null]), Number(r[yColumn])])
+  );
+  const panel = (facet) =>
+    distinct(colorColumn).map((name) => ({
+      name,
+      values: labels.map((x) => {
+        const value = cell.get(JSON.stringify([facet, x, name]));
+        return value === undefined ? null : value;
+      }),
+    }));
+
+  if (!facetColumn) return { labels, series: panel(null) };
+  return { labels, facets: distinct(facetColumn).slice(0, MAX_FACETS).map((name) => ({ name, series: panel(name) })) };
+}
+
+// Map query result columns onto the chart data fields for each chart type
+function chartDataFromTable(input, table, orders) {
+  const { type, xColumn, yColumn, colorColumn, facetColumn } = input;
+  const needed = [xColumn, type === "histogram" ? null : yColumn, colorColumn, facetColumn, type === "heatmap" ? input.valueColumn : null]
+    .filter((col) => col != null);
+  if (type === "heatmap" && !input.valueColumn) throw new QueryError(["heatmap charts need a valueColumn"]);
+  const missing = needed.filter((col) => !table.columns.includes(col));
+  if (missing.length > 0) {
+    throw new QueryError(missing.map((col) => `chart column "${col}" is not in the query result (${table.columns.join(", ")})`));
+  }
+
+  const values = (col, rows = table.rows) => rows.map((r) => r[col]);
+  if (type === "box" || type === "violin") {
+    const groups = new Map();
+    for (const row of table.rows) {
+      const name = String(row[xColumn]);
+      if (!groups.has(name)) groups.set(name, []);
+      groups.get(name).push(Number(row[yColumn]));
+    }
+    return { groups: [...groups.entries()].map(([name, vals]) => ({ name, values: vals })) };
+  }
+  if (type === "heatmap") {
+    const x = [...new Set(values(xColumn).map(String))];
+    const y = [...new Set(values(yColumn).map(String))];
+    const cells = new Map(table.rows.map((r) => [`${r[xColumn]}\u0000${r[yColumn]}`, Number(r[input.valueColumn])]));
+    return { x, y, z: y.map((b) => x.map((a) => cells.get(`${a}\u0000${b}`) ?? null)) };
+  }
+  if (type === "scatter" && colorColumn) {
+    const names = [...new Set(values(colorColumn).map(String))];
+    return {
+      series: names.map((name) => {
+        const rows = table.rows.filter((r) => String(r[colorColumn]) === name);
+        return { name, x: values(xColumn, rows).map(Number), y: values(yColumn, rows).map(Number) };
+      }),
+    };
+  }
+  if (type === "scatter") return { x: values(xColumn).map(Number), y: values(yColumn).map(Number) };
+  if (type === "histogram") return { values: values(xColumn).map(Number) };
+  if (colorColumn || facetColumn) return pivotSeries(table.rows, input, orders);
+  return { labels: values(xColumn).map(String), values: values(yColumn).map(Number) };
+}
+
+// Add a chat chart to the scope's dashboard as a new version; returns a note for the model
+// and, when it was pinned, the updated dashboard view
+function pinChart(chart, dashboard) {
+  if (!chart.recipe) {
+    return { note: "It could not be pinned: only charts described by a query (or correlation charts) can become dashboard cards." };
+  }
+  if (!dashboard) return { note: "It could not be pinned: there is no dashboard for this dataset yet." };
+  const recipes = [...dashboards.dashboardView(dashboard).recipes, chart.recipe];
+  dashboards.saveVersion(dashboard, recipes, `Pinned "${chart.title}" from chat`);
+  chart.pinnedTo = { id: dashboard.id, name: dashboard.name };
+  return { note: `Pinned to the "${dashboard.name}" dashboard as card ${recipes.length}.`, dashboard: dashboards.dashboardView(dashboard) };
+}
+
+// Rows left after the scope's filters, read from the column store when a tool first needs them
+function scopeRows(scope) {
+  if (!scope.rows) scope.rows = datasets.datasetRows(scope.dataset, scope.filters);
+  return scope.rows;
+}
+
+// Run one tool call against a chat scope — { dataset, filters, rows, dashboard }, where rows
+// are the dataset rows left after the dashboard cross-filters (null until scopeRows reads them)
+// and dashboard is the one in view.
+// Resolves to { content } plus `computed`, `chart` (and `dashboard` after a pin) or `actions`;
+// throws on failure. Dashboard actions that change filters narrow the scope for later calls.
+async function executeTool(name, input, scope) {
+  const { dataset, filters, dashboard } = scope;
+
+  if (name === "compute") {
+    const result = await sandbox.evaluate(input.expression, scopeRows(scope));
+    const table = tabulate(result);
+    return { content: truncateResult(result), computed: { expression: input.expression, result, ...(table && { table }) } };
+  }
+
+  if (name === "query") {
+    const table = runQuery(withFilters(input.query, filters), dataset);
+    return {
+      content: truncateResult({ columns: table.columns, rows: table.rows, matchedRows: table.matchedRows }),
+      computed: {
+        // query is what ran (with the cross-filters, for display); recipeQuery is the model's own,
+        // for charts pinned from the result, which the live dashboard filters apply to instead
+        query: table.query,
+        recipeQuery: input.query,
+        queryText: table.text,
+        result: table.rows,
+        matchedRows: table.matchedRows,
+        table: { columns: table.columns, rows: table.rows.slice(0, MAX_TABLE_ROWS).map((r) => table.columns.map((c) => r[c])), totalRows: table.rows.length },
+      },
+    };
+  }
+
+  if (name === "dashboard_action") {
+    const resolved = actions.resolveActions(input.actions, scope);
+    scope.filters = resolved.filters;
+    scope.rows = null;
+    const list = resolved.actions.map((a) => `- ${a.label}`).join("\n");
+    return { content: `Applied on the dashboard (the user can undo them):\n${list}`, actions: resolved.actions };
+  }
+
+  if (name === "stats_test") {
+    const result = stats.runTest(input, scopeRows(scope), dataset);
+    return { content: truncateResult(result), computed: { test: input, summary: stats.describeTest(result), result } };
+  }
+
+  if (name === "create_chart") {
+    const chart = {
+      type: input.type,
+      title: input.title,
+      xLabel: input.xLabel,
+      yLabel: input.yLabel,
+      barMode: input.barMode,
+      trendline: input.type === "scatter" && input.trendline === true,
+      data: {},
+      recipe: recipeFromChart(input, dataset),
+    };
+    if (input.type === "correlation") {
+      const columns = Array.isArray(input.columns) && input.columns.length >= 2 ? input.columns : measureColumns(dataset.profile);
+      const unknown = columns.filter((col) => !dataset.numericCols.includes(col));
+      if (unknown.length > 0) throw new QueryError(unknown.map((col) => `columns: "${col}" is not a numeric column`));
+      chart.data = correlationMatrix(scopeRows(scope), columns);
+    } else if (input.query) {
+      const table = runQuery(withFilters(input.query, filters), dataset);
+      chart.data = chartDataFromTable(input, table, datasets.columnOrders(dataset));
+      chart.query = table.query;
+      chart.queryText = table.text;
+    } else {
+      for (const key of CHART_DATA_KEYS) {
+        const expr = input.data && input.data[key];
+        if (typeof expr === "string") chart.data[key] = await sandbox.evaluate(expr, scopeRows(scope));
+      }
+    }
+    const points = (chart.data.values || chart.data.y || chart.data.labels || chart.data.series || chart.data.groups || []).length;
+    const fit = chart.trendline && Array.isArray(chart.data.x) ? stats.linearRegression(chart.data.x, chart.data.y) : null;
+    const trend = fit ? `; trendline R² = ${fit.r2} (slope ${fit.slope}, p = ${fit.pValue})` : "";
+    const content = `Chart "${chart.title}" rendered for the user with ${points} data points${trend}.`;
+    if (!input.pinToDashboard) return { content, chart };
+    const pinned = pinChart(chart, dashboard);
+    return { content: `${content} ${pinned.note}`, chart, ...(pinned.dashboard && { dashboard: pinned.dashboard }) };
+  }
+
+  throw new Error(`Unknown tool: ${name}`);
+}
+
+module.exports = { DASHBOARD_TOOL, INSIGHTS_TOOL, CHAT_TOOLS, executeTool, toToolError, describeToolCall };
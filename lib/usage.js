@@ -0,0 +1,106 @@
+const fs = require("fs");
+const path = require("path");
+
+// --- Model usage and cost log ---
+// One JSON line per model call (tokens, latency, estimated cost, whether the cache answered it),
+// totalled by day and by endpoint for /api/usage.
+
+const LOG_PATH = process.env.LLM_USAGE_LOG || path.join(__dirname, "..", "data", "llm-usage.jsonl");
+
+// USD per million tokens, matched by model name prefix
+const PRICES = [
+  { prefix: "claude-opus-4", input: 15, output: 75, cacheRead: 1.5, cacheWrite: 18.75 },
+  { prefix: "claude-sonnet-4", input: 3, output: 15, cacheRead: 0.3, cacheWrite: 3.75 },
+  { prefix: "claude-3-7-sonnet", input: 3, output: 15, cacheRead: 0.3, cacheWrite: 3.75 },
+  { prefix: "claude-haiku-4", input: 1, output: 5, cacheRead: 0.1, cacheWrite: 1.25 },
+  { prefix: "claude-3-5-haiku", input: 0.8, output: 4, cacheRead: 0.08, cacheWrite: 1 },
+];
+
+const round = (n, digits) => Number(n.toFixed(digits));
+
+// Estimated cost in USD; null for models without a known price
+function estimateCost(model, usage) {
+  const price = PRICES.find((p) => String(model).startsWith(p.prefix));
+  if (!price) return null;
+  const cost =
+    (usage.input_tokens || 0) * price.input +
+    (usage.output_tokens || 0) * price.output +
+    (usage.cache_read_input_tokens || 0) * price.cacheRead +
+    (usage.cache_creation_input_tokens || 0) * price.cacheWrite;
+  return round(cost / 1e6, 6);
+}
+
+// entry: { task, endpoint, provider, model, usage, latencyMs, cached }
+function recordCall({ task, endpoint, provider, model, usage = {}, latencyMs, cached }) {
+  const billed = !cached && provider !== "mock";
+  const line = {
+    at: new Date().toISOString(),
+    task,
+    endpoint: endpoint || task,
+    provider,
+    model,
+    cached,
+    inputTokens: billed ? usage.input_tokens || 0 : 0,
+    outputTokens: billed ? usage.output_tokens || 0 : 0,
+    latencyMs: Math.round(latencyMs),
+    cost: billed ? estimateCost(model, usage) : 0,
+  };
+  try {
+    fs.mkdirSync(path.dirname(LOG_PATH), { recursive: true });
+    fs.appendFileSync(LOG_PATH, `${JSON.stringify(line)}\n`);
+  } catch (err) {
+    console.error("Usage log write failed:", err.message);
+  }
+  return line;
+}
+
+function readLog() {
+  try {
+    return fs.readFileSync(LOG_PATH, "utf-8").split("\n").filter(Boolean).map((line) => JSON.parse(line));
+  } catch (err) {
+    if (err.code !== "ENOENT") console.error("Usage log unreadable:", err.message);
+    return [];
+  }
+}
+
+function emptyTotals() {
+  return { calls: 0, cachedCalls: 0, inputTokens: 0, outputTokens: 0, cost: 0, unpricedCalls: 0, totalLatencyMs: 0 };
+}
+
+function addCall(totals, call) {
+  totals.calls += 1;
+  if (call.cached) totals.cachedCalls += 1;
+  totals.inputTokens += call.inputTokens;
+  totals.outputTokens += call.outputTokens;
+  if (call.cost == null) totals.unpricedCalls += 1;
+  else totals.cost += call.cost;
+  totals.totalLatencyMs += call.latencyMs;
+}
+
+function finishTotals({ totalLatencyMs, ...totals }) {
+  return { ...totals, cost: round(totals.cost, 4), avgLatencyMs: totals.calls ? Math.round(totalLatencyMs / totals.calls) : 0 };
+}
+
+// Totals over the last `days` days, overall and grouped by UTC day and by endpoint
+function summarizeUsage({ days = 30 } = {}) {
+  const since = Date.now() - days * 24 * 60 * 60 * 1000;
+  const calls = readLog().filter((call) => Date.parse(call.at) >= since);
+  const total = emptyTotals();
+  const byDay = new Map();
+  const byEndpoint = new Map();
+  for (const call of calls) {
+    addCall(total, call);
+    for (const [groups, key] of [[byDay, call.at.slice(0, 10)], [byEndpoint, call.endpoint]]) {
+      if (!groups.has(key)) groups.set(key, emptyTotals());
+      addCall(groups.get(key), call);
+    }
+  }
+  return {
+    days,
+    total: finishTotals(total),
+    byDay: [...byDay.entries()].sort(([a], [b]) => a.localeCompare(b)).map(([day, t]) => ({ day, ...finishTotals(t) })),
+    byEndpoint: [...byEndpoint.entries()].map(([endpoint, t]) => ({ endpoint, ...finishTotals(t) })).sort((a, b) => b.cost - a.cost),
+  };
+}
+
+module.exports = { recordCall, summarizeUsage };
@@ -8,33 +8,87 @@ const elements = {
   dashboardGrid: document.getElementById("dashboardGrid"),
   dashboardLoading: document.getElementById("dashboardLoading"),
   chatPanel: document.getElementById("chat"),
+  profilePanel: document.getElementById("profilePanel"),
+  insightsPanel: document.getElementById("insightsPanel"),
+  insightsOverview: document.getElementById("insightsOverview"),
+  insightsGrid: document.getElementById("insightsGrid"),
+  profileOverview: document.getElementById("profileOverview"),
+  profileGrid: document.getElementById("profileGrid"),
   filterBar: document.getElementById("filterBar"),
   filterChips: document.getElementById("filterChips"),
   clearFilters: document.getElementById("clearFilters"),
+  datasetTitle: document.getElementById("datasetTitle"),
+  datasetSelect: document.getElementById("datasetSelect"),
+  datasetUpload: document.getElementById("datasetUpload"),
+  conversationSelect: document.getElementById("conversationSelect"),
+  newConversation: document.getElementById("newConversation"),
+  dashboardToolbar: document.getElementById("dashboardToolbar"),
+  dashboardSelect: document.getElementById("dashboardSelect"),
+  versionSelect: document.getElementById("versionSelect"),
+  addCard: document.getElementById("addCard"),
+  saveDashboardAs: document.getElementById("saveDashboardAs"),
+  exportReport: document.getElementById("exportReport"),
+  shareView: document.getElementById("shareView"),
+  rowBrowser: document.getElementById("rowBrowser"),
+  rowBrowserCount: document.getElementById("rowBrowserCount"),
+  rowBrowserTable: document.getElementById("rowBrowserTable"),
 };
 
 // --- Tab switching ---
+const TAB_PANELS = {
+  dashboard: elements.dashboardPanel,
+  insights: elements.insightsPanel,
+  chat: elements.chatPanel,
+  profile: elements.profilePanel,
+};
+let activeTab = "dashboard";
+
+function showTab(name) {
+  activeTab = name;
+  document.querySelectorAll(".tab").forEach((t) => t.classList.toggle("active", t.dataset.tab === name));
+  for (const [panelName, panel] of Object.entries(TAB_PANELS)) {
+    panel.classList.toggle("hidden", panelName !== name);
+  }
+  if (name === "profile") loadProfile();
+  if (name === "insights") loadInsights();
+  // Charts drawn while their panel was hidden (e.g. by a chat action) need their real width
+  if (name === "dashboard" || name === "insights") {
+    TAB_PANELS[name].querySelectorAll(".plot-div").forEach((div) => {
+      if (plottedCharts.has(div)) Plotly.Plots.resize(div);
+    });
+  }
+}
+
 document.querySelectorAll(".tab").forEach((tab) => {
   tab.addEventListener("click", () => {
-    document.querySelectorAll(".tab").forEach((t) => t.classList.remove("active"));
-    tab.classList.add("active");
-    const target = tab.dataset.tab;
-    if (target === "dashboard") {
-      elements.dashboardPanel.classList.remove("hidden");
-      elements.chatPanel.classList.add("hidden");
-    } else {
-      elements.chatPanel.classList.remove("hidden");
-      elements.dashboardPanel.classList.add("hidden");
-    }
+    showTab(tab.dataset.tab);
+    updateUrl();
   });
 });
 
 // --- Data & Filter State ---
-let allRows = [];
+let datasets = [];
+let activeDatasetId = null;
+let conversationId = null;
+let allColumns = [];
+// Rows per value of each column over the whole dataset, for columns with a manageable number of
+// values (filter and order editors)
+let columnCategoryCounts = {};
+let numericColumns = [];
+// Category order per column (inferred ordinal scales plus user overrides), from the server
+let columnOrders = {};
 let dashboardRecipes = [];
+// The stored dashboard being shown: id, name, version, recipes and version history
+let activeDashboard = null;
+// Cross-filters: column -> { values: [...] } (categorical) or { range: [min, max] } (numeric)
 let activeFilters = {};
-// Per-chart category selections: cardIndex -> Set of selected category labels
+// Per-chart category selections the user made: cardIndex -> array of selected category labels
+// (unset means the server's default top few)
 let cardCategorySelections = {};
+// Same, for the color (series) column of grouped/stacked charts
+let cardSeriesSelections = {};
+// Pill categories per card from its last aggregation: cardIndex -> { x, series }, each { values, top }
+let cardCategoryLists = {};
 const DEFAULT_MAX_CATEGORIES = 4;
 
 // Polished color palette
@@ -45,86 +99,135 @@ const COLORS = [
 ];
 const OTHER_COLOR = "#D0D5E0";
 
-function getFilteredRows() {
-  return allRows.filter((row) => {
-    for (const [col, val] of Object.entries(activeFilters)) {
-      if (row[col] !== val) return false;
-    }
-    return true;
-  });
+// --- Filter mutations ---
+const roundBound = (n) => Math.round(n * 100) / 100;
+
+function toggleFilterValue(col, value) {
+  const current = activeFilters[col] && activeFilters[col].values ? activeFilters[col].values : [];
+  const values = current.includes(value) ? current.filter((v) => v !== value) : [...current, value];
+  if (values.length > 0) activeFilters[col] = { values };
+  else delete activeFilters[col];
 }
 
-// --- Get all unique categories for a column, sorted by count descending ---
-function getAllCategories(column, rows) {
-  const counts = {};
-  for (const row of rows) {
-    const key = row[column] || "Unknown";
-    counts[key] = (counts[key] || 0) + 1;
-  }
-  return Object.entries(counts)
-    .sort((a, b) => b[1] - a[1])
-    .map(([label]) => label);
+function setRangeFilter(col, min, max) {
+  activeFilters[col] = { range: [roundBound(Math.min(min, max)), roundBound(Math.max(min, max))] };
 }
 
-// --- Aggregation: compute chart data from recipe + rows, with category limiting ---
-function computeChartData(recipe, rows, selectedCategories) {
-  const { type, xColumn, yColumn, aggregation } = recipe;
+function applyFilterChange() {
+  renderAllDashboardCharts();
+  updateFilterBar();
+  refreshRowBrowser();
+  updateUrl({ push: true });
+}
 
-  if (type === "scatter") {
-    return { x: rows.map((r) => Number(r[xColumn])), y: rows.map((r) => Number(r[yColumn])) };
+// --- Category ordering: the column's ordinal (or user-set) order, numeric value, else count descending ---
+function sortCategories(column, labels, countOf) {
+  const order = columnOrders[column];
+  if (!order && numericColumns.includes(column)) {
+    return [...labels].sort((a, b) => Number(a) - Number(b) || countOf(b) - countOf(a));
   }
+  if (!order) return [...labels].sort((a, b) => countOf(b) - countOf(a));
+  const rank = (label) => {
+    const i = order.indexOf(label);
+    return i === -1 ? order.length : i;
+  };
+  return [...labels].sort((a, b) => rank(a) - rank(b) || countOf(b) - countOf(a));
+}
 
-  if (type === "histogram") {
-    return { values: rows.map((r) => Number(r[xColumn])) };
-  }
+// Every value of a column, in display order
+function datasetCategories(column) {
+  const counts = columnCategoryCounts[column] || {};
+  return sortCategories(column, Object.keys(counts), (label) => counts[label]);
+}
 
-  // bar or pie: group by xColumn
-  const groups = {};
-  for (const row of rows) {
-    const key = row[xColumn] || "Unknown";
-    if (!groups[key]) groups[key] = [];
-    groups[key].push(row);
-  }
-
-  // Determine which categories to show vs collapse into "Other"
-  const selected = selectedCategories || Object.keys(groups);
-  const shownLabels = [];
-  const shownValues = [];
-  let otherValue = 0;
-  let hasOther = false;
-
-  // Sort all keys by count descending for consistent ordering
-  const allKeys = Object.keys(groups).sort((a, b) => groups[b].length - groups[a].length);
-
-  for (const key of allKeys) {
-    const groupRows = groups[key];
-    let val;
-    if (aggregation === "count") {
-      val = groupRows.length;
-    } else if (aggregation === "average") {
-      const nums = groupRows.map((r) => Number(r[yColumn])).filter((n) => !isNaN(n));
-      val = nums.length ? Math.round((nums.reduce((a, b) => a + b, 0) / nums.length) * 100) / 100 : 0;
-    } else if (aggregation === "sum") {
-      val = groupRows.map((r) => Number(r[yColumn])).filter((n) => !isNaN(n)).reduce((a, b) => a + b, 0);
-    }
-
-    if (selected.includes(key)) {
-      shownLabels.push(key);
-      shownValues.push(val);
-    } else {
-      // For "Other", sum counts/sums but average doesn't aggregate well — skip "Other" for averages
-      if (aggregation === "average") continue;
-      otherValue += val;
-      hasOther = true;
-    }
+// --- Distribution, cross-tab and correlation charts ---
+// Traces and layout for box, violin, heatmap and correlation charts
+function buildStatFigure(spec, data, { xTitle = "", yTitle = "" } = {}) {
+  const layout = { ...PLOTLY_LAYOUT_BASE };
+  let traces;
+
+  if (spec.type === "box" || spec.type === "violin") {
+    traces = data.groups.map((g, i) => ({
+      type: spec.type,
+      name: plotlyText(g.name),
+      y: g.values,
+      marker: { color: seriesColor(g.name, i), size: 3 },
+      line: { color: seriesColor(g.name, i), width: 1.5 },
+      ...(spec.type === "box"
+        ? { boxpoints: "outliers", boxmean: true }
+        : { box: { visible: true }, meanline: { visible: true }, points: false, spanmode: "hard" }),
+    }));
+    layout.xaxis = { ...PLOTLY_LAYOUT_BASE.xaxis, type: "category", title: { text: xTitle, standoff: 8 } };
+    layout.yaxis = { ...PLOTLY_LAYOUT_BASE.yaxis, title: { text: yTitle, standoff: 10 } };
+    layout.showlegend = false;
+  } else if (spec.type === "heatmap") {
+    traces = [{
+      type: "heatmap",
+      x: data.x.map(plotlyText),
+      y: data.y.map(plotlyText),
+      z: data.z,
+      colorscale: [[0, "#f4f6fd"], [1, COLORS[0]]],
+      texttemplate: "%{z}",
+      hovertemplate: "<b>%{x}</b> × <b>%{y}</b><br>%{z}<extra></extra>",
+      xgap: 2,
+      ygap: 2,
+    }];
+    layout.xaxis = { ...PLOTLY_LAYOUT_BASE.xaxis, type: "category", title: { text: xTitle, standoff: 8 } };
+    layout.yaxis = { ...PLOTLY_LAYOUT_BASE.yaxis, type: "category", automargin: true, title: { text: yTitle, standoff: 10 } };
+  } else {
+    traces = [{
+      type: "heatmap",
+      x: data.labels,
+      y: data.labels,
+      z: data.z,
+      zmin: -1,
+      zmax: 1,
+      colorscale: "RdBu",
+      texttemplate: "%{z:.2f}",
+      hovertemplate: "<b>%{x}</b> ~ <b>%{y}</b><br>r = %{z:.2f}<extra></extra>",
+      xgap: 1,
+      ygap: 1,
+    }];
+    layout.xaxis = { ...PLOTLY_LAYOUT_BASE.xaxis, tickangle: -35, automargin: true };
+    layout.yaxis = { ...PLOTLY_LAYOUT_BASE.yaxis, autorange: "reversed", automargin: true };
+    layout.height = Math.max(PLOTLY_LAYOUT_BASE.height, 28 * data.labels.length + 120);
   }
+  return { traces, layout };
+}
 
-  if (hasOther && otherValue > 0) {
-    shownLabels.push("Other");
-    shownValues.push(otherValue);
-  }
+const STAT_TYPES = ["box", "violin", "heatmap", "correlation"];
+
+// --- Series and facets: a color (series) and a facet dimension on top of x ---
+const MAX_FACETS = 6;
+
+// Arrange cells { facet, x, series, value } into { labels, series } or { labels, facets: [{ name, series }] },
+// with `fill` for missing cells
+function pivotCells(cells, labels, seriesNames, facetNames, fill) {
+  const key = (facet, x, series) => `${facet}\u0000${x}\u0000${series}`;
+  const lookup = new Map(cells.map((c) => [key(c.facet, c.x, c.series), c.value]));
+  const panel = (facet) =>
+    seriesNames.map((name) => ({
+      name,
+      values: labels.map((x) => (lookup.has(key(facet, x, name)) ? lookup.get(key(facet, x, name)) : fill)),
+    }));
 
-  return { labels: shownLabels, values: shownValues };
+  if (facetNames.length === 1 && facetNames[0] === null) return { labels, series: panel(null) };
+  return { labels, facets: facetNames.map((name) => ({ name, series: panel(name) })) };
+}
+
+// Query results with a color or facet column: one row per cell, already aggregated
+function pivotTable(recipe, rows) {
+  const { xColumn, yColumn, colorColumn, facetColumn } = recipe;
+  const distinct = (col) => (col ? [...new Set(rows.map((r) => String(r[col])))] : [null]);
+  const labels = distinct(xColumn);
+  const cells = rows.map((r) => ({
+    x: String(r[xColumn]),
+    series: colorColumn ? String(r[colorColumn]) : null,
+    facet: facetColumn ? String(r[facetColumn]) : null,
+    value: Number(r[yColumn]),
+  }));
+  const ordered = (col, values) => (col ? sortCategories(col, values, () => 0) : values);
+  return pivotCells(cells, labels, ordered(colorColumn, distinct(colorColumn)), ordered(facetColumn, distinct(facetColumn)).slice(0, MAX_FACETS), null);
 }
 
 // --- Plotly styling ---
@@ -143,19 +246,355 @@ const PLOTLY_CONFIG = {
   responsive: true,
 };
 
+// Scatter cards expose box and lasso selection for brushing
+const BRUSH_CONFIG = {
+  ...PLOTLY_CONFIG,
+  displayModeBar: true,
+  displaylogo: false,
+  modeBarButtons: [["select2d", "lasso2d"]],
+};
+
 function getBarColors(labels, xColumn) {
   return labels.map((label, i) => {
     if (label === "Other") return OTHER_COLOR;
-    if (activeFilters[xColumn] && activeFilters[xColumn] !== label) return "#e0e3ec";
+    const filter = activeFilters[xColumn];
+    if (filter && filter.values && !filter.values.includes(label)) return "#e0e3ec";
     return COLORS[i % COLORS.length];
   });
 }
 
-function renderPlotlyChart(container, recipe, rows, selectedCategories) {
-  const data = computeChartData(recipe, rows, selectedCategories);
-  let traces, layout;
+// --- Query-backed recipes: aggregated on the server, cross-filters sent along ---
+function filtersToQuery() {
+  return Object.entries(activeFilters).map(([column, filter]) => {
+    if (filter.range) return { column, op: "between", value: filter.range };
+    if (filter.values.length === 1) return { column, op: "eq", value: filter.values[0] };
+    return { column, op: "in", value: filter.values };
+  });
+}
+
+function describeFilterEntry(f) {
+  if (f.op === "eq") return `${f.column} = ${f.value}`;
+  if (f.op === "in") return `${f.column} in ${f.value.join(", ")}`;
+  if (f.op === "between") return `${f.column} ${f.value[0]}–${f.value[1]}`;
+  return `${f.column} ${f.op} ${f.value}`;
+}
+
+function chartDataFromTable(recipe, table) {
+  // A query without its own sort follows the x column's category order, like aggregated charts
+  const order = columnOrders[recipe.xColumn];
+  if (order && !(recipe.query.sort && recipe.query.sort.length)) {
+    const rank = (row) => {
+      const i = order.indexOf(String(row[recipe.xColumn]));
+      return i === -1 ? order.length : i;
+    };
+    table = { ...table, rows: [...table.rows].sort((a, b) => rank(a) - rank(b)) };
+  }
+
+  if (recipe.type === "box" || recipe.type === "violin") {
+    const groups = new Map();
+    for (const row of table.rows) {
+      const name = String(row[recipe.xColumn]);
+      if (!groups.has(name)) groups.set(name, []);
+      groups.get(name).push(Number(row[recipe.yColumn]));
+    }
+    return { groups: [...groups.entries()].map(([name, values]) => ({ name, values })) };
+  }
+
+  if (recipe.type === "scatter" && recipe.colorColumn) {
+    const groups = new Map();
+    for (const row of table.rows) {
+      const name = String(row[recipe.colorColumn]);
+      if (!groups.has(name)) groups.set(name, { name, x: [], y: [] });
+      groups.get(name).x.push(Number(row[recipe.xColumn]));
+      groups.get(name).y.push(Number(row[recipe.yColumn]));
+    }
+    return { series: [...groups.values()] };
+  }
+  if (recipe.colorColumn || recipe.facetColumn) return pivotTable(recipe, table.rows);
+
+  const values = (col) => table.rows.map((r) => r[col]);
+  if (recipe.type === "scatter") return { x: values(recipe.xColumn).map(Number), y: values(recipe.yColumn).map(Number) };
+  if (recipe.type === "histogram") return { values: values(recipe.xColumn).map(Number) };
+  return { labels: values(recipe.xColumn).map(String), values: values(recipe.yColumn).map(Number) };
+}
+
+async function fetchQueryChartData(recipe) {
+  const res = await fetch("/api/query", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ datasetId: activeDatasetId, query: recipe.query, filters: filtersToQuery() }),
+  });
+  const table = await res.json();
+  if (!res.ok) throw new Error(table.error || "Query failed");
+  return chartDataFromTable(recipe, table);
+}
+
+// Aggregated on the server from the full dataset; resolves to { data, matchedRows, categories }
+// where categories lists every x / series value (and the default top few) for the card's pills
+async function fetchAggregateData(recipe, { filters = [], categories = null, series = null, maxCategories = null } = {}) {
+  const res = await fetch("/api/aggregate", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ datasetId: activeDatasetId, recipe, filters, categories, series, maxCategories }),
+  });
+  const result = await res.json();
+  if (!res.ok) throw new Error(result.errors ? result.errors.join("; ") : result.error || "Aggregation failed");
+  return result;
+}
+
+let chartRequestCounter = 0;
+
+// Recipes the server couldn't validate are listed with their errors instead of drawn wrong
+function renderRecipeErrors(container, errors) {
+  Plotly.purge(container);
+  plottedCharts.delete(container);
+  container.innerHTML = `<div class="chart-error"><p>This chart couldn't be built:</p><ul></ul></div>`;
+  const list = container.querySelector("ul");
+  for (const error of errors) {
+    const item = document.createElement("li");
+    item.textContent = error;
+    list.appendChild(item);
+  }
+}
+
+// onCategories gets the card's pill categories from each aggregation response
+function renderCardChart(container, recipe, { categories = null, series = null, onCategories } = {}) {
+  if (recipe.errors && recipe.errors.length > 0) {
+    renderRecipeErrors(container, recipe.errors);
+    return;
+  }
+
+  // Only the latest request for this container may draw, so fast filter clicks can't race
+  const requestId = String(++chartRequestCounter);
+  container.dataset.requestId = requestId;
+  const request = recipe.query
+    ? fetchQueryChartData(recipe).then((data) => ({ data }))
+    : fetchAggregateData(recipe, { filters: filtersToQuery(), categories, series, maxCategories: DEFAULT_MAX_CATEGORIES });
+  request
+    .then((result) => {
+      if (container.dataset.requestId !== requestId) return;
+      if (onCategories && result.categories) onCategories(result.categories);
+      renderPlotlyChart(container, recipe, result.data);
+    })
+    .catch((err) => {
+      if (container.dataset.requestId !== requestId) return;
+      Plotly.purge(container);
+      plottedCharts.delete(container);
+      container.innerHTML = `<p class="chart-error"></p>`;
+      container.querySelector(".chart-error").textContent = err.message;
+    });
+}
+
+// Query-backed histograms get raw values; their recipes may fix the bin width (aligned to whole
+// multiples, e.g. 10-year bands) or the bin count
+function histogramBins(recipe, values) {
+  const width = Number(recipe.binWidth);
+  if (width > 0) {
+    const min = values.reduce((m, v) => (Number.isFinite(v) && v < m ? v : m), Infinity);
+    const start = Number.isFinite(min) ? Math.floor(min / width) * width : 0;
+    return { autobinx: false, xbins: { start, size: width } };
+  }
+  const count = Math.round(Number(recipe.binCount));
+  return count > 0 ? { nbinsx: count } : {};
+}
+
+// Histograms binned on the server ({ start, size, counts }) are drawn as one bar per bin
+const binEdge = (bins, i) => Math.round((bins.start + i * bins.size) * 1e10) / 1e10;
+
+function binnedHistogramTrace(bins) {
+  const edge = (i) => binEdge(bins, i);
+  return {
+    type: "bar",
+    x: bins.counts.map((_, i) => edge(i) + bins.size / 2),
+    y: bins.counts,
+    width: bins.size,
+    customdata: bins.counts.map((_, i) => [edge(i), edge(i + 1)]),
+    marker: { color: COLORS[0], line: { color: "#fff", width: 1 } },
+    hovertemplate: "Range: %{customdata[0]}–%{customdata[1]}<br>Count: %{y}<extra></extra>",
+  };
+}
+
+// Plotly treats "<" in names and annotations as markup; income brackets like "<30000" need escaping
+const plotlyText = (value) => String(value).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+
+function seriesColor(name, i) {
+  return name === "Other" ? OTHER_COLOR : COLORS[i % COLORS.length];
+}
+
+// Traces and layout for series/facet data: grouped, stacked or 100% bars, multi-series lines,
+// colored scatter points, and small multiples (one subplot per facet value, sharing the y axis)
+function buildSeriesFigure(spec, data, { xTitle = "", yTitle = "" } = {}) {
+  const traces = [];
+  const layout = { ...PLOTLY_LAYOUT_BASE, annotations: [] };
+
+  if (spec.type === "scatter") {
+    data.series.forEach((s, i) => traces.push({
+      type: "scatter",
+      mode: "markers",
+      name: plotlyText(s.name),
+      x: s.x,
+      y: s.y,
+      marker: { color: seriesColor(s.name, i), size: 5, opacity: 0.6, line: { width: 0 } },
+    }));
+    layout.xaxis = { ...PLOTLY_LAYOUT_BASE.xaxis, title: { text: xTitle, standoff: 8 } };
+    layout.yaxis = { ...PLOTLY_LAYOUT_BASE.yaxis, title: { text: yTitle, standoff: 10 } };
+    layout.legend = { orientation: "h", y: -0.25 };
+    layout.margin = { ...PLOTLY_LAYOUT_BASE.margin, b: 70 };
+    layout.dragmode = "select";
+    return { traces, layout };
+  }
+
+  const panels = data.facets || [{ name: null, series: data.series || [{ name: null, values: data.values }] }];
+  const faceted = panels.length > 1 || panels[0].name != null;
+  const columns = panels.length <= 1 ? 1 : panels.length <= 4 ? 2 : 3;
+  const gridRows = Math.ceil(panels.length / columns);
+  const named = panels[0].series.some((s) => s.name != null);
+  const longLabels = data.labels.some((l) => String(l).length > 10);
+  // Lines over a numeric dimension (e.g. years of experience) keep true spacing between values
+  const numericX = spec.type === "line" && data.labels.every((l) => l !== "" && !isNaN(Number(l)));
+
+  panels.forEach((panel, p) => {
+    const suffix = p === 0 ? "" : String(p + 1);
+    const axes = { xaxis: `x${suffix}`, yaxis: `y${suffix}` };
+
+    if (spec.type === "pie") {
+      traces.push({
+        type: "pie",
+        labels: data.labels,
+        values: panel.series[0].values,
+        marker: { colors: data.labels.map((l, i) => seriesColor(l, i)), line: { color: "#fff", width: 2 } },
+        domain: { row: Math.floor(p / columns), column: p % columns },
+        textinfo: "percent",
+        hole: 0.35,
+        sort: false,
+        title: { text: panel.name != null ? plotlyText(panel.name) : "", font: { size: 11 } },
+      });
+      return;
+    }
+
+    panel.series.forEach((s, i) => {
+      const color = seriesColor(s.name, i);
+      const trace = {
+        ...axes,
+        name: s.name != null ? plotlyText(s.name) : yTitle,
+        x: data.labels,
+        y: s.values,
+        legendgroup: String(s.name),
+        showlegend: p === 0 && s.name != null,
+        hovertemplate: `<b>%{x}</b>${s.name != null ? `<br>${plotlyText(s.name)}` : ""}<br>%{y}<extra></extra>`,
+      };
+      if (spec.type === "line") {
+        traces.push({ ...trace, type: "scatter", mode: "lines+markers", line: { color, width: 2 }, marker: { color, size: 5 } });
+      } else {
+        traces.push({ ...trace, type: "bar", marker: { color, line: { width: 0 } } });
+      }
+    });
+
+    layout[`xaxis${suffix}`] = {
+      ...PLOTLY_LAYOUT_BASE.xaxis,
+      type: numericX ? "linear" : "category",
+      tickangle: longLabels ? -30 : 0,
+      title: { text: faceted ? "" : xTitle, standoff: 8 },
+    };
+    layout[`yaxis${suffix}`] = {
+      ...PLOTLY_LAYOUT_BASE.yaxis,
+      ...(p > 0 ? { matches: "y" } : {}),
+      title: { text: p % columns === 0 ? (spec.barMode === "percent" ? "%" : yTitle) : "", standoff: 10 },
+    };
+    if (faceted) {
+      layout.annotations.push({
+        text: `<b>${plotlyText(panel.name)}</b>`,
+        xref: `x${suffix} domain`,
+        yref: `y${suffix} domain`,
+        x: 0.5,
+        y: 1,
+        yanchor: "bottom",
+        showarrow: false,
+        font: { size: 11 },
+      });
+    }
+  });
+
+  if (spec.type === "pie") {
+    layout.grid = { rows: gridRows, columns };
+    layout.margin = { t: 24, b: 8, l: 8, r: 8 };
+    layout.showlegend = false;
+  } else {
+    if (faceted) {
+      layout.grid = { rows: gridRows, columns, pattern: "independent", xgap: 0.12, ygap: longLabels ? 0.45 : 0.3 };
+      layout.margin = { ...PLOTLY_LAYOUT_BASE.margin, t: 24 };
+    }
+    layout.barmode = spec.barMode === "stacked" || spec.barMode === "percent" ? "stack" : "group";
+    if (spec.barMode === "percent") layout.barnorm = "percent";
+    layout.showlegend = named;
+    layout.legend = { orientation: "h", y: faceted ? -0.12 : -0.3 };
+    if (named) layout.margin = { ...(layout.margin || PLOTLY_LAYOUT_BASE.margin), b: 80 };
+  }
+  if (gridRows > 1) layout.height = 200 * gridRows + 60;
+  return { traces, layout };
+}
+
+function recipeAxisTitles(recipe) {
+  const yTitle = recipe.aggregation === "count" ? "Count"
+    : recipe.aggregation === "average" ? `Avg ${recipe.yColumn}`
+    : recipe.yColumn || "";
+  return { xTitle: recipe.xColumn, yTitle };
+}
+
+// Least-squares fit over every plotted point (all series of a colored scatter)
+function linearFit(xs, ys) {
+  const points = xs.map((x, i) => [Number(x), Number(ys[i])]).filter(([x, y]) => Number.isFinite(x) && Number.isFinite(y));
+  if (points.length < 3) return null;
+  const mx = points.reduce((sum, [x]) => sum + x, 0) / points.length;
+  const my = points.reduce((sum, [, y]) => sum + y, 0) / points.length;
+  let sxy = 0, sxx = 0, syy = 0;
+  for (const [x, y] of points) {
+    sxy += (x - mx) * (y - my);
+    sxx += (x - mx) ** 2;
+    syy += (y - my) ** 2;
+  }
+  if (sxx === 0) return null;
+  const slope = sxy / sxx;
+  const xMin = Math.min(...points.map(([x]) => x));
+  const xMax = Math.max(...points.map(([x]) => x));
+  return { slope, intercept: my - slope * mx, r2: syy === 0 ? 0 : (sxy * sxy) / (sxx * syy), xMin, xMax };
+}
 
-  if (recipe.type === "bar") {
+// Trendline trace plus an "R² = …" label for scatter charts that ask for one
+function addTrendline(traces, layout, data) {
+  const xs = data.series ? data.series.flatMap((s) => s.x) : data.x;
+  const ys = data.series ? data.series.flatMap((s) => s.y) : data.y;
+  const fit = linearFit(xs || [], ys || []);
+  if (!fit) return;
+  traces.push({
+    type: "scatter",
+    mode: "lines",
+    name: "Trend",
+    x: [fit.xMin, fit.xMax],
+    y: [fit.intercept + fit.slope * fit.xMin, fit.intercept + fit.slope * fit.xMax],
+    line: { color: "#1f2937", width: 2, dash: "dash" },
+    showlegend: false,
+    hoverinfo: "skip",
+  });
+  layout.annotations = [...(layout.annotations || []), {
+    text: `R² = ${fit.r2.toFixed(3)}`,
+    xref: "paper", yref: "paper", x: 1, y: 1,
+    xanchor: "right", yanchor: "bottom",
+    showarrow: false,
+    font: { size: 11, color: "#1f2937" },
+  }];
+}
+
+function renderPlotlyChart(container, recipe, data) {
+  let traces, layout;
+  let config = PLOTLY_CONFIG;
+
+  if (STAT_TYPES.includes(recipe.type)) {
+    ({ traces, layout } = buildStatFigure(recipe, data, { xTitle: recipe.xColumn || "", yTitle: recipe.yColumn || "" }));
+  } else if (data.series || data.facets || recipe.type === "line") {
+    ({ traces, layout } = buildSeriesFigure(recipe, data, recipeAxisTitles(recipe)));
+    if (recipe.type === "scatter") config = BRUSH_CONFIG;
+  } else if (recipe.type === "bar") {
     traces = [{
       type: "bar",
       x: data.labels,
@@ -171,7 +610,11 @@ function renderPlotlyChart(container, recipe, rows, selectedCategories) {
       : recipe.yColumn;
     layout = {
       ...PLOTLY_LAYOUT_BASE,
-      xaxis: { ...PLOTLY_LAYOUT_BASE.xaxis, tickangle: data.labels.some((l) => l.length > 10) ? -30 : 0 },
+      xaxis: {
+        ...PLOTLY_LAYOUT_BASE.xaxis,
+        type: "category",
+        tickangle: data.labels.some((l) => l.length > 10) ? -30 : 0,
+      },
       yaxis: { ...PLOTLY_LAYOUT_BASE.yaxis, title: { text: yTitle, standoff: 10 } },
     };
   } else if (recipe.type === "pie") {
@@ -188,6 +631,9 @@ function renderPlotlyChart(container, recipe, rows, selectedCategories) {
       insidetextorientation: "horizontal",
       hovertemplate: "<b>%{label}</b><br>%{value} (%{percent})<extra></extra>",
       hole: 0.35,
+      // Ordered categories go round the pie in order instead of largest-first
+      sort: !columnOrders[recipe.xColumn] && !numericColumns.includes(recipe.xColumn),
+      direction: "clockwise",
     }];
     layout = { ...PLOTLY_LAYOUT_BASE, margin: { t: 8, b: 8, l: 8, r: 8 }, showlegend: false };
   } else if (recipe.type === "scatter") {
@@ -203,11 +649,14 @@ function renderPlotlyChart(container, recipe, rows, selectedCategories) {
       ...PLOTLY_LAYOUT_BASE,
       xaxis: { ...PLOTLY_LAYOUT_BASE.xaxis, title: { text: recipe.xColumn, standoff: 8 } },
       yaxis: { ...PLOTLY_LAYOUT_BASE.yaxis, title: { text: recipe.yColumn, standoff: 10 } },
+      dragmode: "select",
     };
+    config = BRUSH_CONFIG;
   } else if (recipe.type === "histogram") {
-    traces = [{
+    traces = [data.bins ? binnedHistogramTrace(data.bins) : {
       type: "histogram",
       x: data.values,
+      ...histogramBins(recipe, data.values),
       marker: { color: COLORS[0], line: { color: "#fff", width: 1 } },
       hovertemplate: "Range: %{x}<br>Count: %{y}<extra></extra>",
     }];
@@ -216,24 +665,61 @@ function renderPlotlyChart(container, recipe, rows, selectedCategories) {
       xaxis: { ...PLOTLY_LAYOUT_BASE.xaxis, title: { text: recipe.xColumn, standoff: 8 } },
       yaxis: { ...PLOTLY_LAYOUT_BASE.yaxis, title: { text: "Count", standoff: 10 } },
       bargap: 0.05,
+      dragmode: "select",
+      selectdirection: "h",
     };
   }
 
-  Plotly.newPlot(container, traces, layout, PLOTLY_CONFIG);
+  if (recipe.type === "scatter" && recipe.trendline) addTrendline(traces, layout, data);
+
+  const staleError = container.querySelector(".chart-error");
+  if (staleError) staleError.remove();
+  Plotly.newPlot(container, traces, layout, config);
+  plottedCharts.set(container, { spec: recipe, data });
+
+  // Heatmap cells filter on both of their categories
+  if (recipe.type === "heatmap") {
+    container.on("plotly_click", (eventData) => {
+      const point = eventData.points[0];
+      const cell = [[recipe.xColumn, data.x[point.pointIndex[1]]], [recipe.yColumn, data.y[point.pointIndex[0]]]];
+      if (!cell.every(([col]) => allColumns.includes(col))) return;
+      cell.forEach(([col, value]) => toggleFilterValue(col, value));
+      applyFilterChange();
+    });
+  }
 
-  // Cross-filter click handler for bar and pie
-  if (recipe.type === "bar" || recipe.type === "pie") {
+  // Cross-filter click handler for bar, line, pie, box and violin
+  if (["bar", "line", "pie", "box", "violin"].includes(recipe.type)) {
     container.on("plotly_click", (eventData) => {
-      const clickedLabel = eventData.points[0].label || eventData.points[0].x;
+      const point = eventData.points[0];
+      const clickedLabel = data.groups ? data.groups[point.curveNumber].name : point.label || point.x;
       if (clickedLabel === "Other") return; // Don't filter on "Other"
       const col = recipe.xColumn;
-      if (activeFilters[col] === clickedLabel) {
-        delete activeFilters[col];
-      } else {
-        activeFilters[col] = clickedLabel;
+      if (!allColumns.includes(col)) return; // Derived query columns can't filter other cards
+      toggleFilterValue(col, clickedLabel);
+      applyFilterChange();
+    });
+  }
+
+  // Brushing: box/lasso on a scatter sets x and y ranges, dragging across a histogram sets an x range
+  if (recipe.type === "scatter" || recipe.type === "histogram") {
+    container.on("plotly_selected", (eventData) => {
+      if (!eventData) return;
+      const extent = (axis) => {
+        if (eventData.range && eventData.range[axis]) return eventData.range[axis];
+        const vals = eventData.points.map((p) => Number(p[axis])).filter((n) => !isNaN(n));
+        return vals.length ? [Math.min(...vals), Math.max(...vals)] : null;
+      };
+
+      const brushed = recipe.type === "scatter" ? [["x", recipe.xColumn], ["y", recipe.yColumn]] : [["x", recipe.xColumn]];
+      let changed = false;
+      for (const [axis, col] of brushed) {
+        const range = extent(axis);
+        if (!range || !numericColumns.includes(col)) continue;
+        setRangeFilter(col, range[0], range[1]);
+        changed = true;
       }
-      renderAllDashboardCharts();
-      updateFilterBar();
+      if (changed) applyFilterChange();
     });
   }
 }
@@ -242,7 +728,11 @@ function renderPlotlyChart(container, recipe, rows, selectedCategories) {
 function renderChatChart(container, spec) {
   let traces, layout;
 
-  if (spec.type === "scatter") {
+  if (STAT_TYPES.includes(spec.type)) {
+    ({ traces, layout } = buildStatFigure(spec, spec.data, { xTitle: spec.xLabel || "", yTitle: spec.yLabel || "" }));
+  } else if (spec.data.series || spec.data.facets || spec.type === "line") {
+    ({ traces, layout } = buildSeriesFigure(spec, spec.data, { xTitle: spec.xLabel || "", yTitle: spec.yLabel || "" }));
+  } else if (spec.type === "scatter") {
     traces = [{
       type: "scatter", mode: "markers",
       x: spec.data.x, y: spec.data.y,
@@ -254,7 +744,7 @@ function renderChatChart(container, spec) {
       yaxis: { ...PLOTLY_LAYOUT_BASE.yaxis, title: spec.yLabel || "" },
     };
   } else if (spec.type === "histogram") {
-    traces = [{
+    traces = [spec.data.bins ? binnedHistogramTrace(spec.data.bins) : {
       type: "histogram",
       x: spec.data.values || spec.data.labels,
       marker: { color: COLORS[0], line: { color: "#fff", width: 1 } },
@@ -285,93 +775,294 @@ function renderChatChart(container, spec) {
     };
   }
 
+  if (spec.type === "scatter" && spec.trendline) addTrendline(traces, layout, spec.data);
   if (spec.title) {
     layout.title = { text: spec.title, font: { size: 13 } };
   }
 
   Plotly.newPlot(container, traces, layout, PLOTLY_CONFIG);
+  plottedCharts.set(container, { spec, data: spec.data });
+}
+
+// --- Export: PNG/SVG images and CSV of the data behind each chart, plus a standalone HTML report ---
+// Spec and data each chart was last drawn with, so exports match what's on screen
+const plottedCharts = new WeakMap();
+
+function fileSlug(text) {
+  return String(text || "chart").toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "") || "chart";
+}
+
+// The aggregated data behind a chart as { columns, rows }
+function chartTable(spec, data, container) {
+  const xName = spec.xColumn || spec.xLabel || "x";
+  const yName = spec.aggregation === "count" ? "count" : spec.yColumn || spec.yLabel || "value";
+
+  if (spec.type === "correlation") {
+    return { columns: ["column", ...data.labels], rows: data.labels.map((label, i) => [label, ...data.z[i]]) };
+  }
+  if (spec.type === "heatmap") {
+    return { columns: [spec.yColumn || "y", spec.xColumn || "x", spec.valueColumn || "count"], rows: data.y.flatMap((b, i) => data.x.map((a, j) => [b, a, data.z[i][j]])) };
+  }
+  if (data.groups) {
+    return { columns: [xName, yName], rows: data.groups.flatMap((g) => g.values.map((v) => [g.name, v])) };
+  }
+  if (data.series && data.series[0] && data.series[0].x) {
+    return { columns: [spec.colorColumn || "series", xName, yName], rows: data.series.flatMap((s) => s.x.map((x, i) => [s.name, x, s.y[i]])) };
+  }
+  if (data.facets || data.series) {
+    const panels = data.facets || [{ name: null, series: data.series }];
+    const named = panels[0].series.some((s) => s.name != null);
+    const columns = [...(data.facets ? [spec.facetColumn || "facet"] : []), xName, ...(named ? [spec.colorColumn || "series"] : []), yName];
+    const rows = panels.flatMap((panel) => panel.series.flatMap((s) =>
+      data.labels.map((label, i) => [...(data.facets ? [panel.name] : []), label, ...(named ? [s.name] : []), s.values[i]])
+    ));
+    return { columns, rows };
+  }
+  if (spec.type === "scatter") return { columns: [xName, yName], rows: data.x.map((x, i) => [x, data.y[i]]) };
+  if (spec.type === "histogram" && data.bins) {
+    return { columns: ["bin_start", "bin_end", "count"], rows: data.bins.counts.map((count, i) => [binEdge(data.bins, i), binEdge(data.bins, i + 1), count]) };
+  }
+  if (spec.type === "histogram") {
+    // The bins Plotly drew; raw values if the chart hasn't been laid out yet
+    const bins = container && container.calcdata && container.calcdata[0];
+    if (bins && bins.length && bins[0].ph0 !== undefined) {
+      return { columns: ["bin_start", "bin_end", "count"], rows: bins.map((b) => [b.ph0, b.ph1, b.s]) };
+    }
+    return { columns: [xName], rows: (data.values || data.labels || []).map((v) => [v]) };
+  }
+  return { columns: [xName, yName], rows: (data.labels || []).map((label, i) => [label, data.values[i]]) };
+}
+
+function toCsv({ columns, rows }) {
+  const cell = (value) => {
+    const text = value == null ? "" : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [columns, ...rows].map((row) => row.map(cell).join(",")).join("\n");
+}
+
+function downloadFile(filename, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function exportChart(container, format) {
+  const plotted = plottedCharts.get(container);
+  if (!plotted) return;
+  const name = fileSlug(plotted.spec.title);
+  if (format === "csv") {
+    downloadFile(`${name}.csv`, toCsv(chartTable(plotted.spec, plotted.data, container)), "text/csv");
+  } else {
+    Plotly.downloadImage(container, { format, filename: name, width: container.offsetWidth || 700, height: container.offsetHeight || 280 });
+  }
+}
+
+// "Export" dropdown with PNG, SVG and CSV entries for the chart drawn in `container`
+function buildExportMenu(container) {
+  const menu = document.createElement("details");
+  menu.className = "export-menu";
+  const summary = document.createElement("summary");
+  summary.className = "card-action";
+  summary.textContent = "Export";
+  summary.title = "Download this chart or its data";
+  menu.appendChild(summary);
+
+  const list = document.createElement("div");
+  list.className = "export-menu-list";
+  for (const [format, label] of [["png", "PNG image"], ["svg", "SVG image"], ["csv", "CSV data"]]) {
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.textContent = label;
+    btn.addEventListener("click", () => {
+      menu.open = false;
+      exportChart(container, format);
+    });
+    list.appendChild(btn);
+  }
+  menu.appendChild(list);
+  return menu;
+}
+
+const escapeHtml = (value) => String(value == null ? "" : value)
+  .replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+
+// Whole dashboard as one self-contained HTML file: filters, then each card's chart (as inline SVG),
+// description and recipe
+async function exportDashboardReport() {
+  const dataset = getActiveDataset();
+  const filters = filtersToQuery().map(describeFilterEntry);
+  const plotDivs = elements.dashboardGrid.querySelectorAll(".plot-div");
+
+  const cards = await Promise.all(dashboardRecipes.map(async (recipe, i) => {
+    const plotDiv = plotDivs[i];
+    let figure = `<p class="missing">${escapeHtml((recipe.errors || ["This chart wasn't drawn."]).join(" "))}</p>`;
+    if (plotDiv && plottedCharts.has(plotDiv)) {
+      const image = await Plotly.toImage(plotDiv, { format: "svg", width: plotDiv.offsetWidth || 700, height: plotDiv.offsetHeight || 280 });
+      figure = `<img src="${image}" alt="${escapeHtml(recipe.title)}">`;
+    }
+    const { errors: _errors, ...stored } = recipe;
+    return `<section>
+  <h2>${escapeHtml(recipe.title)}</h2>
+  ${recipe.description ? `<p>${escapeHtml(recipe.description)}</p>` : ""}
+  ${figure}
+  <details><summary>Recipe</summary><pre>${escapeHtml(JSON.stringify(stored, null, 2))}</pre></details>
+</section>`;
+  }));
+
+  const title = `${datasetTitle(dataset)} — ${activeDashboard ? activeDashboard.name : "Dashboard"}`;
+  const version = activeDashboard ? ` · version ${activeDashboard.viewingVersion}` : "";
+  const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { font-family: Inter, system-ui, sans-serif; color: #1f2937; max-width: 960px; margin: 32px auto; padding: 0 20px; }
+  header p, .filters { color: #5b6475; font-size: 14px; }
+  section { border: 1px solid #e1e5f1; border-radius: 12px; padding: 16px 20px; margin: 20px 0; break-inside: avoid; }
+  h2 { font-size: 17px; margin: 0 0 6px; }
+  img { width: 100%; height: auto; }
+  pre { background: #f5f7fb; padding: 10px; border-radius: 8px; font-size: 12px; overflow-x: auto; }
+  summary { color: #5b6475; font-size: 13px; cursor: pointer; }
+  .missing { color: #b42318; }
+</style>
+</head>
+<body>
+<header>
+  <h1>${escapeHtml(title)}</h1>
+  <p>${escapeHtml(new Date().toLocaleString())}${escapeHtml(version)}</p>
+  <p class="filters">${filters.length > 0 ? `Filtered to ${escapeHtml(filters.join(" and "))}` : "No filters applied"}</p>
+</header>
+${cards.join("\n")}
+</body>
+</html>
+`;
+  downloadFile(`${fileSlug(title)}-report.html`, html, "text/html");
 }
 
+elements.exportReport.addEventListener("click", async () => {
+  elements.exportReport.disabled = true;
+  try {
+    await exportDashboardReport();
+  } catch (err) {
+    console.error("Report export failed:", err);
+    alert("Could not export the report.");
+  } finally {
+    elements.exportReport.disabled = false;
+  }
+});
+
 // --- Dashboard rendering ---
+// Pill selections for a card's aggregation request, and where its categories come back
+function cardChartOptions(cardIndex) {
+  return {
+    categories: cardCategorySelections[cardIndex] || null,
+    series: cardSeriesSelections[cardIndex] || null,
+    onCategories: (lists) => updateCardCategories(cardIndex, lists),
+  };
+}
+
 function renderSingleCard(cardIndex) {
   const card = elements.dashboardGrid.querySelectorAll(".dashboard-card")[cardIndex];
   const recipe = dashboardRecipes[cardIndex];
   if (!card || !recipe) return;
-  const plotDiv = card.querySelector(".plot-div");
-  const rows = getFilteredRows();
-  const selected = cardCategorySelections[cardIndex] || null;
-  renderPlotlyChart(plotDiv, recipe, rows, selected);
+  renderCardChart(card.querySelector(".plot-div"), recipe, cardChartOptions(cardIndex));
 }
 
 function renderAllDashboardCharts() {
-  const rows = getFilteredRows();
   const cards = elements.dashboardGrid.querySelectorAll(".dashboard-card");
 
   cards.forEach((card, i) => {
     const recipe = dashboardRecipes[i];
     if (!recipe) return;
-    const plotDiv = card.querySelector(".plot-div");
-    const selected = cardCategorySelections[i] || null;
-    renderPlotlyChart(plotDiv, recipe, rows, selected);
+    renderCardChart(card.querySelector(".plot-div"), recipe, cardChartOptions(i));
   });
 }
 
-function buildCategorySelector(cardIndex, recipe) {
-  // Only for bar and pie charts with categorical grouping
-  if (recipe.type === "scatter" || recipe.type === "histogram") return null;
-
-  const rows = getFilteredRows();
-  const allCats = getAllCategories(recipe.xColumn, rows);
-  if (allCats.length <= DEFAULT_MAX_CATEGORIES) return null; // No need for selector
+// A card's categories from the server; the pills are rebuilt when they change (a filter can remove
+// some or re-rank the top few). Cards the user hasn't picked for keep no selection, so the server's
+// top few under the current filters apply.
+function updateCardCategories(cardIndex, lists) {
+  const changed = JSON.stringify(lists) !== JSON.stringify(cardCategoryLists[cardIndex]);
+  cardCategoryLists[cardIndex] = lists;
+  if (changed) rebuildCardSelector(cardIndex);
+}
 
+// One row of category pills for a card; `list` is { values, top } from the server and `selections`
+// is cardCategorySelections (x) or cardSeriesSelections (color)
+function buildPillRow(cardIndex, list, selections, label) {
+  if (!list || list.values.length <= DEFAULT_MAX_CATEGORIES) return null; // No need for selector
+  const allCats = list.values;
   // Default: top 4 by count
-  if (!cardCategorySelections[cardIndex]) {
-    cardCategorySelections[cardIndex] = allCats.slice(0, DEFAULT_MAX_CATEGORIES);
-  }
-  const selected = cardCategorySelections[cardIndex];
-
-  const wrapper = document.createElement("div");
-  wrapper.className = "category-selector";
+  const selected = selections[cardIndex] || list.top;
 
   const pills = document.createElement("div");
   pills.className = "category-pills";
 
+  if (label) {
+    const name = document.createElement("span");
+    name.className = "category-pills-label";
+    name.textContent = label;
+    pills.appendChild(name);
+  }
+
+  // "All" toggle
+  const allBtn = document.createElement("button");
+  allBtn.className = "category-pill category-pill-all" + (selected.length === allCats.length ? " active" : "");
+  allBtn.textContent = "All";
+  allBtn.addEventListener("click", () => {
+    if (selected.length === allCats.length) delete selections[cardIndex];
+    else selections[cardIndex] = [...allCats];
+    rebuildCardSelector(cardIndex);
+    renderSingleCard(cardIndex);
+    updateUrl();
+  });
+  pills.appendChild(allBtn);
+
   for (const cat of allCats) {
     const pill = document.createElement("button");
     pill.className = "category-pill" + (selected.includes(cat) ? " active" : "");
     pill.textContent = cat;
     pill.addEventListener("click", () => {
-      const sel = cardCategorySelections[cardIndex];
-      if (sel.includes(cat)) {
+      if (selected.includes(cat)) {
         // Don't allow deselecting all
-        if (sel.length <= 1) return;
-        cardCategorySelections[cardIndex] = sel.filter((c) => c !== cat);
+        if (selected.length <= 1) return;
+        selections[cardIndex] = selected.filter((c) => c !== cat);
       } else {
-        cardCategorySelections[cardIndex] = [...sel, cat];
+        selections[cardIndex] = [...selected, cat];
       }
       // Re-render just this card's selector and chart
       rebuildCardSelector(cardIndex);
       renderSingleCard(cardIndex);
+      updateUrl();
     });
     pills.appendChild(pill);
   }
 
-  // "All" toggle
-  const allBtn = document.createElement("button");
-  allBtn.className = "category-pill category-pill-all" + (selected.length === allCats.length ? " active" : "");
-  allBtn.textContent = "All";
-  allBtn.addEventListener("click", () => {
-    if (cardCategorySelections[cardIndex].length === allCats.length) {
-      cardCategorySelections[cardIndex] = allCats.slice(0, DEFAULT_MAX_CATEGORIES);
-    } else {
-      cardCategorySelections[cardIndex] = [...allCats];
-    }
-    rebuildCardSelector(cardIndex);
-    renderSingleCard(cardIndex);
-  });
-  pills.insertBefore(allBtn, pills.firstChild);
+  return pills;
+}
+
+// Only for charts grouped by a category, once their aggregation has listed the categories
+function buildCategorySelector(cardIndex, recipe) {
+  const lists = cardCategoryLists[cardIndex];
+  if (!lists) return null;
+
+  const series = recipe.colorColumn;
+  const rows = [
+    buildPillRow(cardIndex, lists.x, cardCategorySelections, series ? recipe.xColumn : null),
+    series && buildPillRow(cardIndex, lists.series, cardSeriesSelections, series),
+  ].filter(Boolean);
+  if (rows.length === 0) return null;
 
-  wrapper.appendChild(pills);
+  const wrapper = document.createElement("div");
+  wrapper.className = "category-selector";
+  wrapper.append(...rows);
   return wrapper;
 }
 
@@ -388,17 +1079,53 @@ function rebuildCardSelector(cardIndex) {
   }
 }
 
+function buildCardActions(cardIndex) {
+  const actions = document.createElement("div");
+  actions.className = "card-actions";
+
+  const addAction = (label, title, onClick, disabled = false) => {
+    const btn = document.createElement("button");
+    btn.className = "card-action";
+    btn.textContent = label;
+    btn.title = title;
+    btn.disabled = disabled;
+    btn.addEventListener("click", () => onClick(btn));
+    actions.appendChild(btn);
+  };
+
+  addAction("↑", "Move up", () => moveCard(cardIndex, -1), cardIndex === 0);
+  addAction("↓", "Move down", () => moveCard(cardIndex, 1), cardIndex === dashboardRecipes.length - 1);
+  addAction("Edit", "Edit this chart", () => openRecipeEditor(cardIndex));
+  addAction("↻", "Ask Claude for a different chart", (btn) => regenerateCard(cardIndex, btn));
+  addAction("✕", "Remove this chart", () => removeCard(cardIndex));
+  return actions;
+}
+
 function buildDashboardCards() {
   elements.dashboardGrid.innerHTML = "";
-  cardCategorySelections = {};
+  // Selections restored from a link or history entry apply to the first build only
+  const restored = pendingSelections || {};
+  pendingSelections = null;
+  cardCategorySelections = restored.categories || {};
+  cardSeriesSelections = restored.series || {};
+  cardCategoryLists = {};
 
   dashboardRecipes.forEach((recipe, i) => {
     const card = document.createElement("div");
     card.className = "dashboard-card";
 
+    const plotDiv = document.createElement("div");
+    plotDiv.className = "plot-div";
+
+    const header = document.createElement("div");
+    header.className = "card-header";
     const title = document.createElement("h3");
     title.textContent = recipe.title || "Chart";
-    card.appendChild(title);
+    header.appendChild(title);
+    const actions = activeDashboard ? buildCardActions(i) : Object.assign(document.createElement("div"), { className: "card-actions" });
+    actions.prepend(buildExportMenu(plotDiv));
+    header.appendChild(actions);
+    card.appendChild(header);
 
     if (recipe.description) {
       const desc = document.createElement("p");
@@ -406,11 +1133,6 @@ function buildDashboardCards() {
       card.appendChild(desc);
     }
 
-    const selector = buildCategorySelector(i, recipe);
-    if (selector) card.appendChild(selector);
-
-    const plotDiv = document.createElement("div");
-    plotDiv.className = "plot-div";
     card.appendChild(plotDiv);
     elements.dashboardGrid.appendChild(card);
   });
@@ -418,53 +1140,689 @@ function buildDashboardCards() {
   renderAllDashboardCharts();
 }
 
-// --- Filter bar ---
-function updateFilterBar() {
-  const keys = Object.keys(activeFilters);
-  if (keys.length === 0) {
-    elements.filterBar.classList.add("hidden");
-    return;
-  }
-
-  elements.filterBar.classList.remove("hidden");
-  elements.filterChips.innerHTML = "";
+// --- Dashboard editing: every change is saved on the server as a new version ---
+const RECIPE_TYPES = ["bar", "line", "pie", "scatter", "histogram", "box", "violin", "heatmap", "correlation"];
+const BAR_MODES = [["", "—"], ["grouped", "grouped"], ["stacked", "stacked"], ["percent", "100% stacked"]];
+const RECIPE_AGGREGATIONS = ["count", "average", "sum", "none"];
 
-  for (const [col, val] of Object.entries(activeFilters)) {
-    const chip = document.createElement("span");
-    chip.className = "filter-chip";
-    chip.innerHTML = `${col}: <strong>${val}</strong> <span class="filter-chip-x" data-col="${col}">&times;</span>`;
-    elements.filterChips.appendChild(chip);
+async function saveRecipes(recipes, note) {
+  if (!activeDashboard) return;
+  try {
+    const res = await fetch(`/api/dashboards/${encodeURIComponent(activeDashboard.id)}`, {
+      method: "PUT",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ recipes, note }),
+    });
+    const data = await res.json();
+    if (!res.ok) {
+      alert(data.error || "Could not save the dashboard.");
+      return false;
+    }
+    showDashboard(data.dashboard);
+    return true;
+  } catch (err) {
+    alert("Could not save the dashboard — is the server running?");
+    return false;
   }
+}
 
-  elements.filterChips.querySelectorAll(".filter-chip-x").forEach((x) => {
-    x.addEventListener("click", () => {
-      delete activeFilters[x.dataset.col];
-      renderAllDashboardCharts();
-      updateFilterBar();
-    });
-  });
+function moveCard(cardIndex, offset) {
+  const recipes = [...dashboardRecipes];
+  const [recipe] = recipes.splice(cardIndex, 1);
+  recipes.splice(cardIndex + offset, 0, recipe);
+  saveRecipes(recipes, `Moved "${recipe.title}"`);
 }
 
-elements.clearFilters.addEventListener("click", () => {
-  activeFilters = {};
-  renderAllDashboardCharts();
-  updateFilterBar();
-});
+function removeCard(cardIndex) {
+  const recipe = dashboardRecipes[cardIndex];
+  if (!confirm(`Remove "${recipe.title || "this chart"}" from the dashboard?`)) return;
+  saveRecipes(dashboardRecipes.filter((_, i) => i !== cardIndex), `Removed "${recipe.title}"`);
+}
 
-// --- Load data and dashboard ---
-async function initDashboard() {
+async function regenerateCard(cardIndex, btn) {
+  if (!activeDashboard) return;
+  btn.disabled = true;
+  btn.classList.add("busy");
   try {
-    const dataRes = await fetch("/api/data");
-    const dataJson = await dataRes.json();
-    allRows = dataJson.rows;
+    const res = await fetch(`/api/dashboards/${encodeURIComponent(activeDashboard.id)}/regenerate`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ index: cardIndex }),
+    });
+    const data = await res.json();
+    if (!res.ok) {
+      alert(data.error || "Could not regenerate the chart.");
+      return;
+    }
+    showDashboard(data.dashboard);
   } catch (err) {
-    console.error("Failed to fetch data:", err);
+    alert("Could not regenerate the chart — is the server running?");
+  } finally {
+    btn.disabled = false;
+    btn.classList.remove("busy");
   }
+}
 
-  const poll = async () => {
-    try {
-      const res = await fetch("/api/dashboard");
+function buildSelectField(label, value, options) {
+  const field = document.createElement("label");
+  field.className = "recipe-field";
+  field.textContent = label;
+  const select = document.createElement("select");
+  for (const [optionValue, optionLabel] of options) {
+    const option = document.createElement("option");
+    option.value = optionValue;
+    option.textContent = optionLabel;
+    option.selected = optionValue === (value || "");
+    select.appendChild(option);
+  }
+  field.appendChild(select);
+  return { field, input: select };
+}
+
+function buildTextField(label, value) {
+  const field = document.createElement("label");
+  field.className = "recipe-field";
+  field.textContent = label;
+  const input = document.createElement("input");
+  input.type = "text";
+  input.value = value || "";
+  field.appendChild(input);
+  return { field, input };
+}
+
+// Inline form on the card (or a new card at the end when cardIndex is past the last one)
+function openRecipeEditor(cardIndex) {
+  const isNew = cardIndex >= dashboardRecipes.length;
+  const recipe = isNew
+    ? { title: "", description: "", type: "bar", xColumn: allColumns[0], yColumn: null, aggregation: "count" }
+    : dashboardRecipes[cardIndex];
+
+  let card = elements.dashboardGrid.querySelectorAll(".dashboard-card")[cardIndex];
+  if (!card) {
+    card = document.createElement("div");
+    card.className = "dashboard-card";
+    elements.dashboardGrid.appendChild(card);
+  }
+  card.innerHTML = "";
+
+  const form = document.createElement("form");
+  form.className = "recipe-editor";
+
+  const columnOptions = allColumns.map((col) => [col, col]);
+  const fields = {
+    title: buildTextField("Title", recipe.title),
+    description: buildTextField("Description", recipe.description),
+    type: buildSelectField("Chart type", recipe.type, RECIPE_TYPES.map((t) => [t, t])),
+    xColumn: buildSelectField("X column", recipe.query ? "" : recipe.xColumn, [["", "—"], ...columnOptions]),
+    yColumn: buildSelectField("Y column", recipe.query ? "" : recipe.yColumn, [["", "None"], ...columnOptions]),
+    aggregation: buildSelectField("Aggregation", recipe.aggregation, RECIPE_AGGREGATIONS.map((a) => [a, a])),
+    colorColumn: buildSelectField("Color / series column", recipe.colorColumn, [["", "None"], ...columnOptions]),
+    facetColumn: buildSelectField("Facet column", recipe.facetColumn, [["", "None"], ...columnOptions]),
+    barMode: buildSelectField("Bar mode", recipe.barMode, BAR_MODES),
+    trendline: buildSelectField("Trendline (scatter)", recipe.trendline ? "yes" : "", [["", "None"], ["yes", "Least-squares line with R²"]]),
+    binWidth: buildTextField("Bin width (histograms)", recipe.binWidth),
+    binCount: buildTextField("Bin count (histograms)", recipe.binCount),
+  };
+  Object.values(fields).forEach(({ field }) => form.appendChild(field));
+
+  // Query-backed charts name query result columns, so only title and description stay editable as-is
+  if (recipe.query) {
+    const note = document.createElement("p");
+    note.className = "recipe-editor-note";
+    note.textContent = "This chart is computed by a query. Picking columns replaces the query with a simple aggregation.";
+    form.appendChild(note);
+  }
+
+  const buttons = document.createElement("div");
+  buttons.className = "recipe-editor-buttons";
+  const cancel = document.createElement("button");
+  cancel.type = "button";
+  cancel.className = "secondary";
+  cancel.textContent = "Cancel";
+  cancel.addEventListener("click", () => buildDashboardCards());
+  const save = document.createElement("button");
+  save.type = "submit";
+  save.textContent = isNew ? "Add chart" : "Save";
+  buttons.append(cancel, save);
+  form.appendChild(buttons);
+
+  form.addEventListener("submit", (e) => {
+    e.preventDefault();
+    const edited = {
+      title: fields.title.input.value.trim() || "Chart",
+      description: fields.description.input.value.trim(),
+      type: fields.type.input.value,
+      xColumn: fields.xColumn.input.value,
+      yColumn: fields.yColumn.input.value || null,
+      aggregation: fields.aggregation.input.value,
+    };
+    for (const key of ["colorColumn", "facetColumn", "barMode"]) {
+      if (fields[key].input.value) edited[key] = fields[key].input.value;
+    }
+    if (fields.trendline.input.value && edited.type === "scatter") edited.trendline = true;
+    for (const key of ["binWidth", "binCount"]) {
+      const value = fields[key].input.value.trim();
+      if (value && edited.type === "histogram") edited[key] = Number(value);
+    }
+
+    const keepQuery = recipe.query && !edited.xColumn && edited.type === recipe.type;
+    if (keepQuery) {
+      Object.assign(edited, {
+        xColumn: recipe.xColumn,
+        yColumn: recipe.yColumn,
+        colorColumn: recipe.colorColumn,
+        facetColumn: recipe.facetColumn,
+        aggregation: recipe.aggregation,
+        query: recipe.query,
+      });
+    } else if (edited.type === "correlation") {
+      Object.assign(edited, { xColumn: null, yColumn: null, aggregation: "none" });
+    } else if (!edited.xColumn) {
+      alert("Pick an X column.");
+      return;
+    }
+
+    const recipes = isNew
+      ? [...dashboardRecipes, edited]
+      : dashboardRecipes.map((r, i) => (i === cardIndex ? edited : r));
+    saveRecipes(recipes, isNew ? `Added "${edited.title}"` : `Edited "${edited.title}"`);
+  });
+
+  card.appendChild(form);
+  card.scrollIntoView({ behavior: "smooth", block: "nearest" });
+}
+
+elements.addCard.addEventListener("click", () => openRecipeEditor(dashboardRecipes.length));
+
+// --- Saved dashboards and version history ---
+function showDashboard(dashboard) {
+  activeDashboard = dashboard;
+  dashboardRecipes = dashboard.recipes || [];
+  elements.dashboardToolbar.classList.remove("hidden");
+  elements.rowBrowser.classList.remove("hidden");
+  renderVersionSelect();
+  loadDashboardList();
+
+  if (dashboardRecipes.length === 0) {
+    elements.dashboardGrid.innerHTML =
+      "<p style='color:var(--muted);padding:20px;'>This dashboard has no charts yet. Use \"Add chart\" to build one.</p>";
+  } else {
+    buildDashboardCards();
+  }
+  updateUrl();
+}
+
+// --- Shareable view state ---
+// The dataset, dashboard, tab, filters and card category selections are mirrored in the URL,
+// so a reload or a pasted link restores the view. Filter changes push a history entry (back and
+// forward step through them); other changes replace the current one. ?share=<id> is a short
+// server-side alias for the same parameters.
+const VIEW_PARAMS = ["dataset", "dashboard", "tab", "filters", "categories", "series", "share"];
+
+// Category selections to apply when the dashboard's cards are next built
+let pendingSelections = null;
+
+function viewStateParams() {
+  const params = new URLSearchParams();
+  const dataset = getActiveDataset();
+  if (dataset && !dataset.isDefault) params.set("dataset", dataset.id);
+  if (activeDashboard && !activeDashboard.isDefault) params.set("dashboard", activeDashboard.id);
+  if (activeTab !== "dashboard") params.set("tab", activeTab);
+  for (const [key, value] of [["filters", activeFilters], ["categories", cardCategorySelections], ["series", cardSeriesSelections]]) {
+    if (Object.keys(value).length > 0) params.set(key, JSON.stringify(value));
+  }
+  return params;
+}
+
+function updateUrl({ push = false } = {}) {
+  const url = new URL(window.location.href);
+  VIEW_PARAMS.forEach((key) => url.searchParams.delete(key));
+  viewStateParams().forEach((value, key) => url.searchParams.set(key, value));
+  if (url.href === window.location.href) return;
+  if (push) history.pushState(null, "", url);
+  else history.replaceState(null, "", url);
+}
+
+function parseParam(params, key) {
+  try {
+    const value = JSON.parse(params.get(key));
+    return value && typeof value === "object" && !Array.isArray(value) ? value : {};
+  } catch (err) {
+    return {};
+  }
+}
+
+// Only well-formed filters survive; unknown columns are dropped once the dataset's columns load
+function readViewState(params) {
+  const filters = Object.fromEntries(Object.entries(parseParam(params, "filters")).filter(([, f]) =>
+    f && ((Array.isArray(f.values) && f.values.length > 0) || (Array.isArray(f.range) && f.range.length === 2))
+  ));
+  return {
+    dataset: params.get("dataset"),
+    dashboard: params.get("dashboard"),
+    tab: TAB_PANELS[params.get("tab")] ? params.get("tab") : "dashboard",
+    filters,
+    categories: parseParam(params, "categories"),
+    series: parseParam(params, "series"),
+  };
+}
+
+function applyViewState(state) {
+  showTab(state.tab);
+  activeFilters = state.filters;
+  pendingSelections = { categories: state.categories, series: state.series };
+}
+
+// View state in the current URL, resolving a ?share= id through the server
+async function currentViewState() {
+  const params = new URLSearchParams(window.location.search);
+  const shareId = params.get("share");
+  if (!shareId) return readViewState(params);
+  try {
+    const res = await fetch(`/api/shares/${encodeURIComponent(shareId)}`);
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || "Unknown share link");
+    return readViewState(new URLSearchParams(data.state));
+  } catch (err) {
+    console.error("Failed to open share link:", err);
+    return readViewState(params);
+  }
+}
+
+// Open the dataset and dashboard a view state names (a dashboard implies its dataset)
+async function openViewState(state) {
+  if (state.dashboard) {
+    try {
+      const dashboard = await fetchDashboard(state.dashboard);
+      if (datasets.some((d) => d.id === dashboard.datasetId)) {
+        switchDataset(dashboard.datasetId, dashboard.id, state);
+        return;
+      }
+    } catch (err) {
+      console.error("Failed to open linked dashboard:", err);
+    }
+  }
+
+  const dataset = datasets.find((d) => d.id === state.dataset) || datasets.find((d) => d.isDefault) || datasets[0];
+  if (!dataset) {
+    elements.dashboardLoading.classList.add("hidden");
+    return;
+  }
+  switchDataset(dataset.id, null, state);
+}
+
+// Back/forward: filters and selections on the same dashboard re-render in place
+window.addEventListener("popstate", async () => {
+  const state = await currentViewState();
+  const sameDataset = (state.dataset || (datasets.find((d) => d.isDefault) || {}).id) === activeDatasetId;
+  const sameDashboard = activeDashboard && (state.dashboard ? state.dashboard === activeDashboard.id : activeDashboard.isDefault);
+  if (!sameDashboard || (!state.dashboard && !sameDataset)) {
+    openViewState(state);
+    return;
+  }
+  restoreView(state, { push: false });
+});
+
+// Re-render the dashboard for a view state set outside its own controls (history, chat actions)
+function restoreView(state, { push = true } = {}) {
+  applyViewState(state);
+  dropUnknownFilters();
+  updateFilterBar();
+  if (dashboardRecipes.length > 0) buildDashboardCards();
+  refreshRowBrowser();
+  updateUrl({ push });
+}
+
+function dropUnknownFilters() {
+  for (const col of Object.keys(activeFilters)) {
+    if (!allColumns.includes(col)) delete activeFilters[col];
+  }
+}
+
+elements.shareView.addEventListener("click", async () => {
+  try {
+    const res = await fetch("/api/shares", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ state: Object.fromEntries(viewStateParams()) }),
+    });
+    const data = await res.json();
+    if (!res.ok) {
+      alert(data.error || "Could not create a share link.");
+      return;
+    }
+    const link = `${window.location.origin}${window.location.pathname}?share=${encodeURIComponent(data.id)}`;
+    try {
+      await navigator.clipboard.writeText(link);
+      alert(`Link copied:\n${link}`);
+    } catch (err) {
+      prompt("Copy this link:", link);
+    }
+  } catch (err) {
+    alert("Could not create a share link — is the server running?");
+  }
+});
+
+function renderVersionSelect() {
+  elements.versionSelect.innerHTML = "";
+  for (const v of [...activeDashboard.versions].reverse()) {
+    const option = document.createElement("option");
+    option.value = v.version;
+    const when = new Date(v.createdAt).toLocaleString();
+    option.textContent = `v${v.version} · ${v.note || "Saved"} · ${when}`;
+    option.selected = v.version === activeDashboard.viewingVersion;
+    elements.versionSelect.appendChild(option);
+  }
+}
+
+async function loadDashboardList() {
+  const datasetId = activeDatasetId;
+  try {
+    const res = await fetch(`/api/dashboards?dataset=${encodeURIComponent(datasetId)}`);
+    const data = await res.json();
+    if (datasetId !== activeDatasetId) return;
+
+    elements.dashboardSelect.innerHTML = "";
+    for (const d of data.dashboards || []) {
+      const option = document.createElement("option");
+      option.value = d.id;
+      option.textContent = d.name;
+      option.selected = activeDashboard && d.id === activeDashboard.id;
+      elements.dashboardSelect.appendChild(option);
+    }
+  } catch (err) {
+    console.error("Failed to fetch dashboards:", err);
+  }
+}
+
+async function fetchDashboard(id, version) {
+  const query = version ? `?version=${encodeURIComponent(version)}` : "";
+  const res = await fetch(`/api/dashboards/${encodeURIComponent(id)}${query}`);
+  const data = await res.json();
+  if (!res.ok) throw new Error(data.error || "Dashboard not found");
+  return data.dashboard;
+}
+
+elements.dashboardSelect.addEventListener("change", async () => {
+  try {
+    showDashboard(await fetchDashboard(elements.dashboardSelect.value));
+  } catch (err) {
+    alert(err.message);
+  }
+});
+
+// Restoring an old version saves it again as the newest one, so history is never lost
+elements.versionSelect.addEventListener("change", async () => {
+  const version = Number(elements.versionSelect.value);
+  if (version === activeDashboard.version) return;
+  if (!confirm(`Restore version ${version}? It will be saved as a new version.`)) {
+    renderVersionSelect();
+    return;
+  }
+  try {
+    const old = await fetchDashboard(activeDashboard.id, version);
+    await saveRecipes(old.recipes, `Restored version ${version}`);
+  } catch (err) {
+    alert(err.message);
+    renderVersionSelect();
+  }
+});
+
+elements.saveDashboardAs.addEventListener("click", async () => {
+  const name = prompt("Name for the new dashboard:", activeDashboard && !activeDashboard.isDefault ? `${activeDashboard.name} copy` : "");
+  if (!name || !name.trim()) return;
+
+  try {
+    const res = await fetch("/api/dashboards", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ datasetId: activeDatasetId, name: name.trim(), recipes: dashboardRecipes }),
+    });
+    const data = await res.json();
+    if (!res.ok) {
+      alert(data.error || "Could not save the dashboard.");
+      return;
+    }
+    showDashboard(data.dashboard);
+  } catch (err) {
+    alert("Could not save the dashboard — is the server running?");
+  }
+});
+
+// --- Filter bar ---
+function describeFilterValue(filter) {
+  if (filter.range) return `${filter.range[0]}–${filter.range[1]}`;
+  return filter.values.join(", ");
+}
+
+function closeFilterEditor() {
+  const open = elements.filterChips.querySelector(".filter-editor");
+  if (open) open.remove();
+}
+
+// Inline editor under a chip: min/max inputs for ranges, checkboxes for value sets
+function openFilterEditor(col, chip) {
+  closeFilterEditor();
+  const filter = activeFilters[col];
+  const editor = document.createElement("div");
+  editor.className = "filter-editor";
+  editor.addEventListener("click", (event) => event.stopPropagation());
+
+  let readValue;
+  if (filter.range) {
+    const inputs = filter.range.map((bound, i) => {
+      const input = document.createElement("input");
+      input.type = "number";
+      input.step = "any";
+      input.value = bound;
+      input.setAttribute("aria-label", i === 0 ? "Minimum" : "Maximum");
+      return input;
+    });
+    const row = document.createElement("div");
+    row.className = "filter-editor-range";
+    row.append(inputs[0], " – ", inputs[1]);
+    editor.appendChild(row);
+    readValue = () => {
+      const [min, max] = inputs.map((input) => parseFloat(input.value));
+      if (isNaN(min) || isNaN(max)) return;
+      setRangeFilter(col, min, max);
+    };
+  } else {
+    const list = document.createElement("div");
+    list.className = "filter-editor-values";
+    const listed = datasetCategories(col);
+    const boxes = [...listed, ...filter.values.filter((v) => !listed.includes(v))].map((value) => {
+      const label = document.createElement("label");
+      const box = document.createElement("input");
+      box.type = "checkbox";
+      box.value = value;
+      box.checked = filter.values.includes(value);
+      label.append(box, ` ${value}`);
+      list.appendChild(label);
+      return box;
+    });
+    editor.appendChild(list);
+    readValue = () => {
+      const values = boxes.filter((b) => b.checked).map((b) => b.value);
+      if (values.length > 0) activeFilters[col] = { values };
+      else delete activeFilters[col];
+    };
+  }
+
+  const actions = document.createElement("div");
+  actions.className = "filter-editor-actions";
+  const apply = document.createElement("button");
+  apply.textContent = "Apply";
+  apply.addEventListener("click", () => {
+    readValue();
+    applyFilterChange();
+  });
+  const cancel = document.createElement("button");
+  cancel.className = "secondary";
+  cancel.textContent = "Cancel";
+  cancel.addEventListener("click", closeFilterEditor);
+  actions.append(cancel, apply);
+  editor.appendChild(actions);
+
+  chip.appendChild(editor);
+}
+
+function updateFilterBar() {
+  const keys = Object.keys(activeFilters);
+  if (keys.length === 0) {
+    elements.filterBar.classList.add("hidden");
+    return;
+  }
+
+  elements.filterBar.classList.remove("hidden");
+  elements.filterChips.innerHTML = "";
+
+  for (const [col, filter] of Object.entries(activeFilters)) {
+    const chip = document.createElement("span");
+    chip.className = "filter-chip";
+    chip.title = "Click to edit";
+
+    const value = document.createElement("strong");
+    value.textContent = describeFilterValue(filter);
+    const remove = document.createElement("span");
+    remove.className = "filter-chip-x";
+    remove.innerHTML = "&times;";
+    remove.addEventListener("click", (event) => {
+      event.stopPropagation();
+      delete activeFilters[col];
+      applyFilterChange();
+    });
+
+    chip.append(`${col}: `, value, remove);
+    chip.addEventListener("click", () => openFilterEditor(col, chip));
+    elements.filterChips.appendChild(chip);
+  }
+}
+
+elements.clearFilters.addEventListener("click", () => {
+  activeFilters = {};
+  applyFilterChange();
+});
+
+// --- Row browser: the raw rows behind the dashboard's filters, a page at a time from the server ---
+const ROW_PAGE_SIZE = 25;
+// offset into the filtered rows and { column, direction } or null
+let rowBrowserView = { offset: 0, sort: null };
+let rowRequestCounter = 0;
+
+async function loadRowPage() {
+  const datasetId = activeDatasetId;
+  const requestId = ++rowRequestCounter;
+  try {
+    const res = await fetch("/api/rows", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ datasetId, filters: filtersToQuery(), offset: rowBrowserView.offset, limit: ROW_PAGE_SIZE, sort: rowBrowserView.sort }),
+    });
+    const page = await res.json();
+    if (requestId !== rowRequestCounter || datasetId !== activeDatasetId) return;
+    if (!res.ok) throw new Error(page.error || "Could not load the rows");
+    renderRowPage(page);
+  } catch (err) {
+    if (requestId !== rowRequestCounter) return;
+    elements.rowBrowserTable.innerHTML = `<p class="chart-error"></p>`;
+    elements.rowBrowserTable.querySelector(".chart-error").textContent = err.message;
+  }
+}
+
+function renderRowPage({ columns, rows, totalRows, offset }) {
+  const filtered = Object.keys(activeFilters).length > 0;
+  elements.rowBrowserCount.textContent = `· ${totalRows} ${filtered ? "matching the filters" : "in total"}`;
+
+  const scroller = document.createElement("div");
+  scroller.className = "result-table-scroll";
+  const table = document.createElement("table");
+  scroller.appendChild(table);
+  const { sort } = rowBrowserView;
+  const head = table.createTHead().insertRow();
+  for (const column of columns) {
+    const th = document.createElement("th");
+    th.textContent = `${column}${sort && sort.column === column ? (sort.direction === "asc" ? " ▲" : " ▼") : ""}`;
+    th.title = "Sort by this column";
+    th.addEventListener("click", () => {
+      const direction = sort && sort.column === column && sort.direction === "asc" ? "desc" : "asc";
+      rowBrowserView = { offset: 0, sort: { column, direction } };
+      loadRowPage();
+    });
+    head.appendChild(th);
+  }
+  const body = table.createTBody();
+  for (const row of rows) {
+    const tr = body.insertRow();
+    row.forEach((value, i) => {
+      const td = tr.insertCell();
+      td.textContent = value;
+      if (numericColumns.includes(columns[i])) td.className = "numeric";
+      if (sort && sort.column === columns[i]) td.classList.add("sorted");
+    });
+  }
+
+  const footer = document.createElement("div");
+  footer.className = "result-table-footer";
+  const pageButton = (label, title, nextOffset) => {
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = "card-action";
+    btn.textContent = label;
+    btn.title = title;
+    btn.disabled = nextOffset < 0 || nextOffset >= totalRows;
+    btn.addEventListener("click", () => {
+      rowBrowserView.offset = nextOffset;
+      loadRowPage();
+    });
+    return btn;
+  };
+  const status = document.createElement("span");
+  status.textContent = totalRows ? `Rows ${offset + 1}–${offset + rows.length} of ${totalRows}` : "No rows match the filters";
+  footer.append(pageButton("‹", "Previous page", offset - ROW_PAGE_SIZE), status, pageButton("›", "Next page", offset + ROW_PAGE_SIZE));
+
+  elements.rowBrowserTable.innerHTML = "";
+  elements.rowBrowserTable.append(scroller, footer);
+}
+
+// Filters changed: back to the first page, reloaded only while the browser is open
+function refreshRowBrowser() {
+  rowBrowserView.offset = 0;
+  if (elements.rowBrowser.open) loadRowPage();
+  else elements.rowBrowserCount.textContent = "";
+}
+
+elements.rowBrowser.addEventListener("toggle", () => {
+  if (elements.rowBrowser.open) loadRowPage();
+});
+
+// --- Load data and dashboard ---
+async function initDashboard(dashboardId) {
+  const datasetId = activeDatasetId;
+  const query = `?dataset=${encodeURIComponent(datasetId)}`;
+
+  try {
+    const dataRes = await fetch(`/api/data${query}`);
+    const dataJson = await dataRes.json();
+    if (datasetId !== activeDatasetId) return;
+    allColumns = dataJson.columns;
+    numericColumns = dataJson.numericColumns || [];
+    columnOrders = dataJson.columnOrders || {};
+    columnCategoryCounts = dataJson.categories || {};
+    dropUnknownFilters();
+    updateFilterBar();
+  } catch (err) {
+    console.error("Failed to fetch data:", err);
+  }
+
+  const poll = async () => {
+    // Stop polling once the user has switched to another dataset
+    if (datasetId !== activeDatasetId) return;
+
+    try {
+      const res = await fetch(`/api/dashboard${query}`);
       const data = await res.json();
+      if (datasetId !== activeDatasetId) return;
 
       if (!data.ready) {
         setTimeout(poll, 2000);
@@ -473,14 +1831,15 @@ async function initDashboard() {
 
       elements.dashboardLoading.classList.add("hidden");
 
-      if (!data.recipes || data.recipes.length === 0) {
+      const dashboard = dashboardId ? await fetchDashboard(dashboardId).catch(() => data.dashboard) : data.dashboard;
+      if (datasetId !== activeDatasetId) return;
+      if (!dashboard) {
         elements.dashboardGrid.innerHTML =
           "<p style='color:var(--muted);padding:20px;'>No charts were generated. Try restarting the server.</p>";
         return;
       }
 
-      dashboardRecipes = data.recipes;
-      buildDashboardCards();
+      showDashboard(dashboard);
     } catch (err) {
       console.error("Dashboard fetch error:", err);
       setTimeout(poll, 3000);
@@ -490,61 +1849,955 @@ async function initDashboard() {
   poll();
 }
 
-initDashboard();
+// --- Data profile tab ---
+let datasetProfile = null;
+
+const TYPE_LABELS = {
+  integer: "integer",
+  numeric: "numeric",
+  boolean: "yes / no",
+  ordinal: "ordinal",
+  date: "date",
+  id: "identifier",
+  text: "free text",
+  categorical: "categorical",
+  empty: "empty",
+};
+
+function profileFacts(column) {
+  const facts = [`${column.distinct} distinct`, `${column.missing} missing`];
+  if (column.type === "integer" || column.type === "numeric") {
+    facts.push(
+      `min ${column.min} · max ${column.max}`,
+      `quartiles ${column.q1} / ${column.median} / ${column.q3}`,
+      `mean ${column.mean} · std ${column.std}`
+    );
+  }
+  const order = columnOrders[column.name];
+  if (order) {
+    const custom = !column.order || order.join("\u0000") !== column.order.join("\u0000");
+    facts.push(`order${custom ? " (set by you)" : ""}: ${order.join(" < ")}`);
+  }
+  if (column.type === "date") facts.push(`${column.min} to ${column.max}`);
+  if (column.top && column.type !== "integer" && column.type !== "numeric") {
+    facts.push(`top: ${column.top.map((t) => `${t.value} (${t.count})`).join(", ")}`);
+  }
+  return facts;
+}
+
+function buildProfileCard(title, badge, facts) {
+  const card = document.createElement("div");
+  card.className = "schema-card";
+  const heading = document.createElement("h3");
+  heading.textContent = title;
+  if (badge) {
+    const type = document.createElement("span");
+    type.className = "profile-type";
+    type.textContent = badge;
+    heading.appendChild(type);
+  }
+  const list = document.createElement("ul");
+  for (const fact of facts) {
+    const item = document.createElement("li");
+    item.textContent = fact;
+    list.appendChild(item);
+  }
+  card.append(heading, list);
+  return card;
+}
+
+// --- Category order editor (profile tab) ---
+const ORDERABLE_TYPES = ["categorical", "ordinal", "boolean"];
+
+async function saveColumnOrder(column, order) {
+  try {
+    const res = await fetch(`/api/datasets/${encodeURIComponent(activeDatasetId)}/order`, {
+      method: "PUT",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ column, order }),
+    });
+    const data = await res.json();
+    if (!res.ok) {
+      alert(data.error || "Could not save the order.");
+      return;
+    }
+    columnOrders = data.columnOrders;
+    renderProfile();
+    if (dashboardRecipes.length > 0) buildDashboardCards();
+  } catch (err) {
+    alert("Could not save the order — is the server running?");
+  }
+}
+
+function openOrderEditor(card, column) {
+  const existing = card.querySelector(".order-editor");
+  if (existing) {
+    existing.remove();
+    return;
+  }
+
+  const order = [...(columnOrders[column.name] || datasetCategories(column.name))];
+  const editor = document.createElement("div");
+  editor.className = "order-editor";
+  const list = document.createElement("ol");
+
+  const renderList = () => {
+    list.innerHTML = "";
+    order.forEach((value, i) => {
+      const item = document.createElement("li");
+      const label = document.createElement("span");
+      label.textContent = value;
+      item.appendChild(label);
+      for (const [text, offset] of [["↑", -1], ["↓", 1]]) {
+        const move = document.createElement("button");
+        move.className = "card-action";
+        move.textContent = text;
+        move.disabled = i + offset < 0 || i + offset >= order.length;
+        move.addEventListener("click", () => {
+          [order[i], order[i + offset]] = [order[i + offset], order[i]];
+          renderList();
+        });
+        item.appendChild(move);
+      }
+      list.appendChild(item);
+    });
+  };
+  renderList();
+
+  const buttons = document.createElement("div");
+  buttons.className = "recipe-editor-buttons";
+  const reset = document.createElement("button");
+  reset.className = "secondary";
+  reset.textContent = "Reset";
+  reset.title = "Go back to the inferred order";
+  reset.addEventListener("click", () => saveColumnOrder(column.name, null));
+  const save = document.createElement("button");
+  save.textContent = "Save order";
+  save.addEventListener("click", () => saveColumnOrder(column.name, order));
+  buttons.append(reset, save);
+
+  editor.append(list, buttons);
+  card.appendChild(editor);
+}
+
+function renderProfile() {
+  const profile = datasetProfile;
+  elements.profileGrid.innerHTML = "";
+  const counts = {};
+  for (const c of profile.columns) counts[c.type] = (counts[c.type] || 0) + 1;
+  const mix = Object.entries(counts).map(([type, n]) => `${n} ${TYPE_LABELS[type] || type}`).join(", ");
+  elements.profileOverview.textContent = `${profile.rowCount} rows, ${profile.columns.length} columns: ${mix}.`;
+
+  for (const column of profile.columns) {
+    const card = buildProfileCard(column.name, TYPE_LABELS[column.type] || column.type, profileFacts(column));
+    if (ORDERABLE_TYPES.includes(column.type) && !numericColumns.includes(column.name)) {
+      const button = document.createElement("button");
+      button.className = "card-action";
+      button.textContent = "Set order";
+      button.addEventListener("click", () => openOrderEditor(card, column));
+      card.appendChild(button);
+    }
+    elements.profileGrid.appendChild(card);
+  }
+
+  const strongest = profile.correlations.slice(0, 8);
+  if (strongest.length > 0) {
+    const facts = strongest.map((p) => `${p.a} ~ ${p.b}: r = ${p.r}`);
+    elements.profileGrid.appendChild(buildProfileCard("Strongest correlations", null, facts));
+  }
+}
+
+async function loadProfile() {
+  if (datasetProfile) return;
+  const datasetId = activeDatasetId;
+  elements.profileOverview.textContent = "Loading profile...";
+  elements.profileGrid.innerHTML = "";
+  try {
+    const res = await fetch(`/api/profile?dataset=${encodeURIComponent(datasetId)}`);
+    const data = await res.json();
+    if (datasetId !== activeDatasetId) return;
+    if (!res.ok) throw new Error(data.error || "Profile unavailable");
+    datasetProfile = data.profile;
+    columnOrders = data.columnOrders || columnOrders;
+    renderProfile();
+  } catch (err) {
+    elements.profileOverview.textContent = `Could not load the profile: ${err.message}`;
+  }
+}
+
+// --- Insights tab: findings the server mined from the full data ---
+let datasetInsights = null;
+
+const INSIGHT_KINDS = {
+  group_difference: "group difference",
+  correlation: "correlation",
+  outliers: "outliers",
+  skew: "skew",
+  simpson: "Simpson's paradox",
+};
+
+function buildInsightCard(insight) {
+  const card = document.createElement("div");
+  card.className = "dashboard-card";
+
+  const plotDiv = document.createElement("div");
+  plotDiv.className = "plot-div";
+
+  const header = document.createElement("div");
+  header.className = "card-header";
+  const title = document.createElement("h3");
+  title.textContent = insight.headline;
+  const kind = document.createElement("span");
+  kind.className = "profile-type";
+  kind.textContent = INSIGHT_KINDS[insight.kind] || insight.kind;
+  title.appendChild(kind);
+
+  const actions = document.createElement("div");
+  actions.className = "card-actions";
+  const add = document.createElement("button");
+  add.type = "button";
+  add.className = "card-action";
+  add.textContent = "Add to dashboard";
+  add.title = "Add this chart to the dashboard as a new card";
+  add.addEventListener("click", async () => {
+    if (!activeDashboard || activeDashboard.datasetId !== activeDatasetId) {
+      alert("Open a dashboard for this dataset first.");
+      return;
+    }
+    add.disabled = true;
+    const recipe = { ...insight.recipe, description: insight.narrative || insight.headline };
+    const saved = await saveRecipes([...dashboardRecipes, recipe], `Added insight "${insight.headline}"`);
+    if (saved) add.textContent = `Added to ${activeDashboard.name}`;
+    else add.disabled = false;
+  });
+  actions.append(buildExportMenu(plotDiv), add);
+  header.append(title, actions);
+  card.appendChild(header);
+
+  if (insight.narrative) {
+    const narrative = document.createElement("p");
+    narrative.textContent = insight.narrative;
+    card.appendChild(narrative);
+  }
+  const evidence = document.createElement("ul");
+  evidence.className = "insight-evidence";
+  for (const line of insight.evidence) {
+    const item = document.createElement("li");
+    item.textContent = line;
+    evidence.appendChild(item);
+  }
+  card.append(evidence, plotDiv);
+
+  // Drawn from every row, like the evidence, so dashboard filters don't apply here
+  const { recipe } = insight;
+  const datasetId = activeDatasetId;
+  fetchAggregateData(recipe)
+    .then(({ data }) => {
+      if (datasetId !== activeDatasetId) return;
+      renderChatChart(plotDiv, { ...recipe, title: undefined, xLabel: recipe.xColumn || "", yLabel: recipe.yColumn || undefined, data });
+    })
+    .catch((err) => {
+      plotDiv.innerHTML = `<p class="chart-error"></p>`;
+      plotDiv.querySelector(".chart-error").textContent = err.message;
+    });
+  return card;
+}
+
+function renderInsights() {
+  elements.insightsGrid.innerHTML = "";
+  if (datasetInsights.length === 0) {
+    elements.insightsOverview.textContent = "Nothing stood out: no strong group differences, correlations, outliers or skewed columns.";
+    return;
+  }
+  const dataset = getActiveDataset();
+  elements.insightsOverview.textContent = `${datasetInsights.length} findings from all ${dataset ? dataset.rowCount : "the"} rows, strongest first. Each one links to the chart that shows it.`;
+  for (const insight of datasetInsights) elements.insightsGrid.appendChild(buildInsightCard(insight));
+}
+
+async function loadInsights() {
+  if (datasetInsights) return;
+  const datasetId = activeDatasetId;
+  elements.insightsOverview.textContent = "Looking for insights...";
+  elements.insightsGrid.innerHTML = "";
+  try {
+    const res = await fetch(`/api/insights?dataset=${encodeURIComponent(datasetId)}`);
+    const data = await res.json();
+    if (datasetId !== activeDatasetId) return;
+    if (!res.ok) throw new Error(data.error || "Insights unavailable");
+    datasetInsights = data.insights;
+    renderInsights();
+  } catch (err) {
+    elements.insightsOverview.textContent = `Could not load insights: ${err.message}`;
+  }
+}
+
+// --- Dataset registry ---
+const DEFAULT_TITLE = elements.datasetTitle.textContent;
+
+function getActiveDataset() {
+  return datasets.find((d) => d.id === activeDatasetId) || null;
+}
+
+function datasetTitle(dataset) {
+  if (!dataset || dataset.isDefault) return DEFAULT_TITLE;
+  return dataset.name;
+}
+
+function renderDatasetSelect() {
+  elements.datasetSelect.innerHTML = "";
+  for (const dataset of datasets) {
+    const option = document.createElement("option");
+    option.value = dataset.id;
+    option.textContent = `${datasetTitle(dataset)} (${dataset.rowCount} rows)`;
+    option.selected = dataset.id === activeDatasetId;
+    elements.datasetSelect.appendChild(option);
+  }
+}
+
+async function loadDatasets() {
+  try {
+    const res = await fetch("/api/datasets");
+    const data = await res.json();
+    datasets = data.datasets || [];
+  } catch (err) {
+    console.error("Failed to fetch datasets:", err);
+  }
+}
+
+// viewState (from a link or history entry) carries the tab, filters and selections to restore
+function switchDataset(datasetId, dashboardId, viewState) {
+  activeDatasetId = datasetId;
+  columnCategoryCounts = {};
+  allColumns = [];
+  numericColumns = [];
+  columnOrders = {};
+  dashboardRecipes = [];
+  activeDashboard = null;
+  datasetProfile = null;
+  datasetInsights = null;
+  elements.insightsGrid.innerHTML = "";
+  activeFilters = {};
+  cardCategorySelections = {};
+  cardSeriesSelections = {};
+  cardCategoryLists = {};
+  pendingSelections = null;
+  if (viewState) applyViewState(viewState);
+
+  const dataset = getActiveDataset();
+  elements.datasetTitle.textContent = datasetTitle(dataset);
+  document.title = `${datasetTitle(dataset)} — Data Chat`;
+  renderDatasetSelect();
+
+  elements.dashboardGrid.innerHTML = "";
+  elements.dashboardToolbar.classList.add("hidden");
+  elements.rowBrowser.classList.add("hidden");
+  elements.rowBrowser.open = false;
+  elements.rowBrowserTable.innerHTML = "";
+  rowBrowserView = { offset: 0, sort: null };
+  elements.dashboardLoading.classList.remove("hidden");
+  updateFilterBar();
+
+  startConversation();
+  loadConversationList();
+  // (a restored view state has already opened its tab)
+  if (activeTab === "profile" && !viewState) loadProfile();
+  if (activeTab === "insights" && !viewState) loadInsights();
+
+  initDashboard(dashboardId);
+}
+
+elements.datasetSelect.addEventListener("change", () => {
+  switchDataset(elements.datasetSelect.value);
+});
+
+elements.datasetUpload.addEventListener("change", async () => {
+  const file = elements.datasetUpload.files[0];
+  if (!file) return;
+
+  const label = elements.datasetUpload.parentElement;
+  label.classList.add("busy");
+  try {
+    const isTsv = /\.tsv$/i.test(file.name);
+    const res = await fetch(`/api/datasets?name=${encodeURIComponent(file.name)}`, {
+      method: "POST",
+      headers: { "Content-Type": isTsv ? "text/tab-separated-values" : "text/csv" },
+      body: file,
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) {
+      alert(data.error || "Upload failed.");
+      return;
+    }
+
+    await loadDatasets();
+    switchDataset(data.dataset.id);
+  } catch (err) {
+    alert("Upload failed — is the server running?");
+  } finally {
+    label.classList.remove("busy");
+    elements.datasetUpload.value = "";
+  }
+});
+
+// The URL (or the share link it names) picks the dataset, dashboard and view to open
+async function initDatasets() {
+  await loadDatasets();
+  openViewState(await currentViewState());
+}
 
 // --- Chat messages ---
-const addMessage = (role, text, chartSpec = null) => {
-  const msg = document.createElement("div");
-  msg.className = `message ${role}`;
-  msg.textContent = text;
+// Bubbles are built in pieces so a streamed reply can fill in progressively
+function scrollMessages() {
+  elements.messages.scrollTop = elements.messages.scrollHeight;
+}
 
-  if (chartSpec) {
-    const container = document.createElement("div");
-    container.className = "chart-container";
-    const plotDiv = document.createElement("div");
-    container.appendChild(plotDiv);
-    msg.appendChild(container);
+function setMessageText(msg, text) {
+  msg.querySelector(".message-text").textContent = text;
+  scrollMessages();
+}
+
+function appendMessageErrors(msg, errors) {
+  for (const err of errors) {
+    const note = document.createElement("div");
+    note.className = "message-error";
+    note.textContent = `Couldn't evaluate the ${err.source} expression (${err.code}): ${err.message}`;
+    msg.appendChild(note);
+  }
+}
+
+function appendMessageChart(msg, chartSpec) {
+  const container = document.createElement("div");
+  container.className = "chart-container";
+  const plotDiv = document.createElement("div");
+  container.appendChild(plotDiv);
+  if (chartSpec.queryText) {
+    const caption = document.createElement("div");
+    caption.className = "chart-query";
+    caption.textContent = `Query: ${chartSpec.queryText}`;
+    container.appendChild(caption);
+  }
+  const actions = document.createElement("div");
+  actions.className = "chart-actions";
+  actions.append(buildExportMenu(plotDiv), buildPinButton(chartSpec));
+  container.appendChild(actions);
+  msg.appendChild(container);
+
+  requestAnimationFrame(() => {
+    renderChatChart(plotDiv, chartSpec);
+    scrollMessages();
+  });
+}
 
-    requestAnimationFrame(() => {
-      renderChatChart(plotDiv, chartSpec);
+// One note per significance test the answer relied on, e.g. "t_test: p = 0.012 (Hedges' g = 0.51)"
+function appendMessageTests(msg, computations) {
+  for (const computed of computations || []) {
+    if (!computed.summary) continue;
+    const note = document.createElement("div");
+    note.className = "message-test";
+    note.textContent = `Test — ${computed.summary}`;
+    msg.appendChild(note);
+  }
+}
+
+// --- Result tables: tabular query/compute results as sortable, paginated tables ---
+const TABLE_PAGE_SIZE = 10;
+
+const isNumericCell = (v) => v !== null && v !== "" && Number.isFinite(Number(v));
+
+function compareCells(a, b) {
+  if (a == null || a === "") return b == null || b === "" ? 0 : 1;
+  if (b == null || b === "") return -1;
+  if (isNumericCell(a) && isNumericCell(b)) return Number(a) - Number(b);
+  return String(a).localeCompare(String(b), undefined, { numeric: true });
+}
+
+// Chart of a table: the first label column against the first numeric one (a scatter when both
+// are numeric). Query results keep their query as the recipe, so they can be pinned.
+function tableChartSpec(columns, rows, computed) {
+  const numeric = columns.map((_, i) => rows.length > 0 && rows.every((r) => r[i] == null || r[i] === "" || isNumericCell(r[i])));
+  const xIndex = numeric.includes(false) ? numeric.indexOf(false) : 0;
+  const yIndex = numeric.findIndex((isNum, i) => isNum && i !== xIndex);
+  if (yIndex === -1) return null;
+
+  const [x, y] = [columns[xIndex], columns[yIndex]];
+  const type = numeric[xIndex] ? "scatter" : "bar";
+  const value = (v) => (v == null || v === "" ? null : Number(v));
+  const data = type === "scatter"
+    ? { x: rows.map((r) => value(r[xIndex])), y: rows.map((r) => value(r[yIndex])) }
+    : { labels: rows.map((r) => String(r[xIndex])), values: rows.map((r) => value(r[yIndex])) };
+  const title = type === "scatter" ? `${y} vs ${x}` : `${y} by ${x}`;
+  const recipe = computed.recipeQuery ? { title, description: "", type, xColumn: x, yColumn: y, aggregation: "none", query: computed.recipeQuery } : null;
+  return { type, title, xLabel: x, yLabel: y, data, recipe, queryText: computed.queryText };
+}
+
+function buildResultTable(msg, computed) {
+  const { columns, rows, totalRows } = computed.table;
+  let sortIndex = null;
+  let sortDirection = 1;
+  let page = 0;
+
+  const wrapper = document.createElement("div");
+  wrapper.className = "result-table";
+  const scroller = document.createElement("div");
+  scroller.className = "result-table-scroll";
+  const table = document.createElement("table");
+  scroller.appendChild(table);
+
+  const footer = document.createElement("div");
+  footer.className = "result-table-footer";
+  const makeButton = (label, title, onClick) => {
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = "card-action";
+    btn.textContent = label;
+    btn.title = title;
+    btn.addEventListener("click", () => onClick(btn));
+    return btn;
+  };
+  const status = document.createElement("span");
+  const prev = makeButton("‹", "Previous page", () => { page -= 1; render(); });
+  const next = makeButton("›", "Next page", () => { page += 1; render(); });
+
+  const sortedRows = () => sortIndex === null ? rows : [...rows].sort((a, b) => sortDirection * compareCells(a[sortIndex], b[sortIndex]));
+  const copy = makeButton("Copy CSV", "Copy the table (in its current order) as CSV", async (btn) => {
+    const csv = toCsv({ columns, rows: sortedRows() });
+    try {
+      await navigator.clipboard.writeText(csv);
+      btn.textContent = "Copied";
+      setTimeout(() => { btn.textContent = "Copy CSV"; }, 1500);
+    } catch (err) {
+      downloadFile("result.csv", csv, "text/csv");
+    }
+  });
+  const chart = makeButton("Chart", "Draw this table as a chart", (btn) => {
+    const spec = tableChartSpec(columns, sortedRows(), computed);
+    if (!spec) return;
+    appendMessageChart(msg, spec);
+    btn.disabled = true;
+  });
+  if (!tableChartSpec(columns, rows, computed)) {
+    chart.disabled = true;
+    chart.title = "The table needs a numeric column to chart";
+  }
+  footer.append(prev, status, next, copy, chart);
+
+  function render() {
+    const ordered = sortedRows();
+    const pages = Math.max(1, Math.ceil(ordered.length / TABLE_PAGE_SIZE));
+    page = Math.min(Math.max(page, 0), pages - 1);
+
+    table.innerHTML = "";
+    const head = table.createTHead().insertRow();
+    columns.forEach((column, i) => {
+      const th = document.createElement("th");
+      th.textContent = `${column}${sortIndex === i ? (sortDirection === 1 ? " ▲" : " ▼") : ""}`;
+      th.title = "Sort by this column";
+      th.addEventListener("click", () => {
+        sortDirection = sortIndex === i ? -sortDirection : 1;
+        sortIndex = i;
+        page = 0;
+        render();
+      });
+      head.appendChild(th);
+    });
+    const body = table.createTBody();
+    for (const row of ordered.slice(page * TABLE_PAGE_SIZE, (page + 1) * TABLE_PAGE_SIZE)) {
+      const tr = body.insertRow();
+      row.forEach((value, i) => {
+        const td = tr.insertCell();
+        td.textContent = value == null ? "" : String(value);
+        if (isNumericCell(value)) td.className = "numeric";
+        if (i === sortIndex) td.classList.add("sorted");
+      });
+    }
+
+    const first = ordered.length ? page * TABLE_PAGE_SIZE + 1 : 0;
+    const last = Math.min((page + 1) * TABLE_PAGE_SIZE, ordered.length);
+    const capped = totalRows > rows.length ? ` (first ${rows.length} of ${totalRows})` : "";
+    status.textContent = `Rows ${first}–${last} of ${ordered.length}${capped}`;
+    prev.disabled = page === 0;
+    next.disabled = page >= pages - 1;
+    prev.hidden = pages === 1;
+    next.hidden = pages === 1;
+  }
+
+  render();
+  wrapper.append(scroller, footer);
+  return wrapper;
+}
+
+function appendMessageTables(msg, computations) {
+  for (const computed of computations || []) {
+    if (!computed.table) continue;
+    msg.appendChild(buildResultTable(msg, computed));
+  }
+}
+
+// "Pin to dashboard" adds the chart's recipe (its query, not the drawn numbers) as a new card
+function buildPinButton(chartSpec) {
+  const btn = document.createElement("button");
+  btn.type = "button";
+  btn.className = "card-action";
+  const markPinned = (name) => {
+    btn.textContent = `Pinned to ${name}`;
+    btn.disabled = true;
+  };
+
+  if (chartSpec.pinnedTo) {
+    markPinned(chartSpec.pinnedTo.name);
+  } else if (!chartSpec.recipe) {
+    btn.textContent = "Pin to dashboard";
+    btn.disabled = true;
+    btn.title = "Only charts described by a query can follow the dashboard's filters";
+  } else {
+    btn.textContent = "Pin to dashboard";
+    btn.title = "Add this chart to the dashboard as a new card";
+    btn.addEventListener("click", async () => {
+      if (!activeDashboard || activeDashboard.datasetId !== activeDatasetId) {
+        alert("Open a dashboard for this dataset first.");
+        return;
+      }
+      btn.disabled = true;
+      const saved = await saveRecipes([...dashboardRecipes, chartSpec.recipe], `Pinned "${chartSpec.recipe.title}" from chat`);
+      if (saved) markPinned(activeDashboard.name);
+      else btn.disabled = false;
+    });
+  }
+  return btn;
+}
+
+// --- Dashboard actions from chat: applied here, listed in the message with an undo ---
+function snapshotView() {
+  return {
+    tab: activeTab,
+    filters: structuredClone(activeFilters),
+    categories: structuredClone(cardCategorySelections),
+    series: structuredClone(cardSeriesSelections),
+  };
+}
+
+function highlightCard(index) {
+  const card = elements.dashboardGrid.querySelectorAll(".dashboard-card")[index];
+  if (!card) return;
+  card.classList.add("highlighted");
+  card.scrollIntoView({ behavior: "smooth", block: "center" });
+  setTimeout(() => card.classList.remove("highlighted"), 2500);
+}
+
+function applyDashboardActions(msg, actions) {
+  const before = snapshotView();
+  const next = snapshotView();
+  let highlight = null;
+  for (const action of actions) {
+    if (action.type === "set_filter") {
+      next.filters[action.column] = action.range ? { range: action.range } : { values: action.values };
+    } else if (action.type === "clear_filter") {
+      delete next.filters[action.column];
+    } else if (action.type === "clear_filters") {
+      next.filters = {};
+    } else if (action.type === "select_categories") {
+      next.categories[action.card - 1] = action.categories;
+    } else if (action.type === "highlight_card") {
+      highlight = action.card - 1;
+      next.tab = "dashboard";
+    } else if (action.type === "switch_tab") {
+      next.tab = action.tab;
+    }
+  }
+
+  restoreView(next);
+  if (highlight != null) highlightCard(highlight);
+  appendMessageActions(msg, actions, () => restoreView(before));
+}
+
+// Without onUndo (a reopened conversation) the list is shown for the record only
+function appendMessageActions(msg, actions, onUndo) {
+  if (!actions || actions.length === 0) return;
+  const box = document.createElement("div");
+  box.className = "message-actions";
+  const list = document.createElement("ul");
+  for (const action of actions) {
+    const item = document.createElement("li");
+    item.textContent = action.label;
+    list.appendChild(item);
+  }
+  box.appendChild(list);
+
+  if (onUndo) {
+    const undo = document.createElement("button");
+    undo.type = "button";
+    undo.className = "card-action";
+    undo.textContent = "Undo";
+    undo.addEventListener("click", () => {
+      onUndo();
+      undo.textContent = "Undone";
+      undo.disabled = true;
     });
+    box.appendChild(undo);
+  }
+  msg.appendChild(box);
+}
+
+// "How this was computed": each tool call behind the answer with the filters and rows it ran on,
+// its runtime and its result or error. Rebuilt as streamed steps arrive, keeping it open if it was.
+function renderMessageProvenance(msg, steps, filters) {
+  const existing = msg.querySelector(".message-provenance");
+  const details = document.createElement("details");
+  details.className = "message-provenance";
+  details.open = Boolean(existing && existing.open);
+  const summary = document.createElement("summary");
+  summary.textContent = `How this was computed${steps.length ? ` (${steps.length} step${steps.length === 1 ? "" : "s"})` : ""}`;
+  details.appendChild(summary);
+
+  if (steps.length === 0) {
+    const note = document.createElement("p");
+    const scope = filters && filters.length > 0 ? `, with filters ${filters.map(describeFilterEntry).join(" and ")}` : "";
+    note.textContent = `Nothing was computed: the answer comes from the dataset summary (column statistics and five sample rows)${scope}.`;
+    details.appendChild(note);
   }
 
+  steps.forEach((step, i) => {
+    const item = document.createElement("div");
+    item.className = "provenance-step";
+    const rows = step.rows === step.totalRows ? `all ${step.totalRows} rows` : `${step.rows} of ${step.totalRows} rows`;
+    const matched = step.matchedRows != null && step.matchedRows !== step.rows ? `, ${step.matchedRows} after the query's own filters` : "";
+    const head = document.createElement("div");
+    head.textContent = `${i + 1}. ${step.tool} · ${rows}${matched} · ${step.runtimeMs} ms · filters: ${step.filters || "none"}`;
+    const ran = document.createElement("pre");
+    ran.textContent = step.ran;
+    item.append(head, ran);
+
+    if (step.error) {
+      const error = document.createElement("div");
+      error.className = "message-error";
+      error.textContent = `${step.error.code}: ${step.error.message}`;
+      item.appendChild(error);
+    } else {
+      const result = document.createElement("pre");
+      result.textContent = step.result;
+      item.appendChild(result);
+    }
+    details.appendChild(item);
+  });
+
+  if (existing) existing.replaceWith(details);
+  else msg.appendChild(details);
+}
+
+// Small caption listing the dashboard filters an answer was computed under
+function appendMessageFilters(msg, filters) {
+  if (!filters || filters.length === 0) return;
+  const note = document.createElement("div");
+  note.className = "message-filters";
+  note.textContent = `Filtered to ${filters.map(describeFilterEntry).join(" and ")}`;
+  msg.insertBefore(note, msg.firstChild);
+}
+
+const addMessage = (role, text, { chart = null, errors = [], filters = [], computations = [], actions = [], provenance = null } = {}) => {
+  const msg = document.createElement("div");
+  msg.className = `message ${role}`;
+
+  const body = document.createElement("span");
+  body.className = "message-text";
+  body.textContent = text;
+  msg.appendChild(body);
+
+  appendMessageFilters(msg, filters);
+  appendMessageTests(msg, computations);
+  appendMessageTables(msg, computations);
+  appendMessageActions(msg, actions);
+  appendMessageErrors(msg, errors);
+  if (provenance) renderMessageProvenance(msg, provenance, filters);
+  if (chart) appendMessageChart(msg, chart);
+
   elements.messages.appendChild(msg);
-  elements.messages.scrollTop = elements.messages.scrollHeight;
+  scrollMessages();
+  return msg;
 };
 
+// Minimal Server-Sent Events reader for a fetch() response body
+async function readEventStream(res, onEvent) {
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) return;
+    buffer += decoder.decode(value, { stream: true });
+
+    let boundary;
+    while ((boundary = buffer.indexOf("\n\n")) !== -1) {
+      const chunk = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+
+      let event = "message";
+      let data = "";
+      for (const line of chunk.split("\n")) {
+        if (line.startsWith("event:")) event = line.slice(6).trim();
+        else if (line.startsWith("data:")) data += line.slice(5).trim();
+      }
+      if (data) onEvent(event, JSON.parse(data));
+    }
+  }
+}
+
+// AbortController of the in-flight chat request; the send button doubles as "Stop"
+let activeChatRequest = null;
+
+function setChatBusy(busy) {
+  elements.userInput.disabled = busy;
+  elements.sendBtn.textContent = busy ? "Stop" : "Send";
+  elements.sendBtn.classList.toggle("secondary", busy);
+}
+
 const sendQuestion = async (question) => {
+  if (activeChatRequest) return;
+
   addMessage("user", question);
   elements.userInput.value = "";
-  elements.sendBtn.disabled = true;
-  elements.userInput.disabled = true;
+  setChatBusy(true);
+
+  const controller = new AbortController();
+  activeChatRequest = controller;
+  const msg = addMessage("bot", "");
+  msg.classList.add("streaming");
+  let text = "";
+  const steps = [];
 
   try {
-    const res = await fetch("/api/chat", {
+    const res = await fetch("/api/chat/stream", {
       method: "POST",
       headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ question, vizMode: elements.vizMode.checked }),
+      body: JSON.stringify({
+        question,
+        vizMode: elements.vizMode.checked,
+        datasetId: activeDatasetId,
+        conversationId,
+        dashboardId: activeDashboard ? activeDashboard.id : null,
+        filters: filtersToQuery(),
+      }),
+      signal: controller.signal,
     });
 
     if (!res.ok) {
       const err = await res.json().catch(() => ({}));
-      addMessage("bot", err.error || "Something went wrong.");
+      setMessageText(msg, err.error || "Something went wrong.");
       return;
     }
 
-    const data = await res.json();
-    addMessage("bot", data.reply, data.chart || null);
+    await readEventStream(res, (event, data) => {
+      if (event === "text") {
+        text += data.text;
+        setMessageText(msg, text);
+      } else if (event === "compute") {
+        appendMessageTests(msg, [data]);
+        appendMessageTables(msg, [data]);
+      } else if (event === "step") {
+        steps.push(data);
+        renderMessageProvenance(msg, steps);
+      } else if (event === "chart") {
+        appendMessageChart(msg, data.chart);
+      } else if (event === "actions") {
+        applyDashboardActions(msg, data.actions);
+      } else if (event === "dashboard") {
+        // A chart the assistant pinned: show the new version if that dashboard is open
+        if (activeDashboard && activeDashboard.id === data.dashboard.id) showDashboard(data.dashboard);
+      } else if (event === "done") {
+        setMessageText(msg, data.reply);
+        appendMessageFilters(msg, data.filters);
+        appendMessageErrors(msg, data.errors || []);
+        renderMessageProvenance(msg, steps, data.filters);
+        conversationId = data.conversationId;
+        loadConversationList();
+      } else if (event === "error") {
+        setMessageText(msg, data.error || "Something went wrong.");
+      }
+    });
   } catch (err) {
-    addMessage("bot", "Network error — is the server running?");
+    if (controller.signal.aborted) {
+      setMessageText(msg, text ? `${text.trim()}\n\n(stopped)` : "Stopped.");
+    } else {
+      setMessageText(msg, "Network error — is the server running?");
+    }
   } finally {
-    elements.sendBtn.disabled = false;
-    elements.userInput.disabled = false;
+    msg.classList.remove("streaming");
+    activeChatRequest = null;
+    setChatBusy(false);
     elements.userInput.focus();
   }
 };
 
+// --- Conversations ---
+function startConversation() {
+  if (activeChatRequest) activeChatRequest.abort();
+  conversationId = null;
+  elements.messages.innerHTML = "";
+  elements.conversationSelect.value = "";
+  addMessage("bot", `Hi! Ask me anything about the ${datasetTitle(getActiveDataset())} dataset. I'm powered by Claude.`);
+}
+
+async function loadConversationList() {
+  const datasetId = activeDatasetId;
+  try {
+    const res = await fetch(`/api/conversations?dataset=${encodeURIComponent(datasetId)}`);
+    const data = await res.json();
+    if (datasetId !== activeDatasetId) return;
+
+    elements.conversationSelect.innerHTML = "<option value=''>Past conversations</option>";
+    for (const convo of data.conversations || []) {
+      const option = document.createElement("option");
+      option.value = convo.id;
+      option.textContent = `${convo.title} (${convo.turnCount})`;
+      option.selected = convo.id === conversationId;
+      elements.conversationSelect.appendChild(option);
+    }
+  } catch (err) {
+    console.error("Failed to fetch conversations:", err);
+  }
+}
+
+async function openConversation(id) {
+  try {
+    const res = await fetch(`/api/conversations/${encodeURIComponent(id)}`);
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    const { conversation } = await res.json();
+
+    if (activeChatRequest) activeChatRequest.abort();
+    conversationId = conversation.id;
+    elements.messages.innerHTML = "";
+    for (const turn of conversation.turns) {
+      addMessage("user", turn.question);
+      addMessage("bot", turn.reply, {
+        chart: turn.chart,
+        errors: turn.errors,
+        filters: turn.filters,
+        computations: turn.computations,
+        actions: turn.actions,
+        provenance: turn.provenance,
+      });
+    }
+  } catch (err) {
+    console.error("Failed to open conversation:", err);
+  }
+}
+
+elements.newConversation.addEventListener("click", () => {
+  startConversation();
+  elements.userInput.focus();
+});
+
+elements.conversationSelect.addEventListener("change", () => {
+  const id = elements.conversationSelect.value;
+  if (id) openConversation(id);
+  else startConversation();
+});
+
 elements.sendBtn.addEventListener("click", () => {
+  if (activeChatRequest) {
+    activeChatRequest.abort();
+    return;
+  }
   const input = elements.userInput.value.trim();
   if (!input) return;
   sendQuestion(input);
@@ -565,4 +2818,4 @@ document.querySelectorAll(".hint").forEach((btn) => {
   });
 });
 
-addMessage("bot", "Hi! Ask me anything about the AI Job Displacement Survey dataset. I'm powered by Claude.");
+initDatasets();
@@ -1,9 +1,20 @@
 require("dotenv").config();
 const express = require("express");
-const fs = require("fs");
 const path = require("path");
-const Papa = require("papaparse");
-const Anthropic = require("@anthropic-ai/sdk").default;
+const datasets = require("./lib/datasets");
+const conversations = require("./lib/conversations");
+const dashboards = require("./lib/dashboards");
+const llm = require("./lib/llm");
+const responseCache = require("./lib/responseCache");
+const usage = require("./lib/usage");
+const shares = require("./lib/shares");
+const { mineInsights } = require("./lib/insights");
+const tools = require("./lib/tools");
+const { validateRecipe, validateRecipes, annotateRecipes } = require("./lib/recipes");
+const { aggregateRecipe, columnCategories } = require("./lib/aggregate");
+const { selectRows, sortIds, readRows } = require("./lib/columnar");
+const { runTest, StatsError } = require("./lib/stats");
+const { runQuery, withFilters, validateFilters, describeFilters, QueryError } = require("./lib/query");
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -11,102 +22,84 @@ const PORT = process.env.PORT || 3000;
 app.use(express.json());
 app.use(express.static(path.join(__dirname, "public")));
 
-// --- CSV data loaded at startup ---
-let csvRows = [];
-let csvColumns = [];
-let csvSummary = "";
-
-function loadCsv() {
-  const csvPath = path.join(__dirname, "public", "ai_job_displacement_survey.csv");
-  const text = fs.readFileSync(csvPath, "utf-8");
-  const parsed = Papa.parse(text, { header: true, skipEmptyLines: true });
-  csvRows = parsed.data;
-  csvColumns = parsed.meta.fields || [];
-
-  // Build a summary for Claude: column info + sample rows + basic stats
-  const sampleRows = csvRows.slice(0, 5);
-  const numericCols = [];
-  const categoricalCols = [];
-
-  csvColumns.forEach((col) => {
-    const values = csvRows.map((r) => r[col]).filter((v) => v !== "" && v != null);
-    const nums = values.map(Number).filter((n) => !Number.isNaN(n));
-    if (nums.length === values.length && values.length > 0) {
-      numericCols.push(col);
-    } else {
-      categoricalCols.push(col);
-    }
-  });
+// --- Datasets: bundled survey at startup, more via upload ---
+const defaultDataset = datasets.loadFile(path.join(__dirname, "public", "ai_job_displacement_survey.csv"));
+const uploadedDatasets = datasets.loadUploads();
 
-  const stats = numericCols.map((col) => {
-    const vals = csvRows.map((r) => Number(r[col])).filter((n) => !Number.isNaN(n));
-    const min = Math.min(...vals);
-    const max = Math.max(...vals);
-    const avg = (vals.reduce((a, b) => a + b, 0) / vals.length).toFixed(2);
-    return `  ${col}: min=${min}, max=${max}, avg=${avg}`;
-  });
+// Resolve the dataset a request refers to; sends a 404 and returns null if unknown
+function resolveDataset(id, res) {
+  const dataset = datasets.getDataset(id);
+  if (!dataset) res.status(404).json({ error: `Unknown dataset: ${id}` });
+  return dataset;
+}
 
-  const catInfo = categoricalCols.map((col) => {
-    const unique = [...new Set(csvRows.map((r) => r[col]).filter(Boolean))];
-    const preview = unique.slice(0, 8).join(", ");
-    return `  ${col}: ${unique.length} unique values (${preview}${unique.length > 8 ? ", ..." : ""})`;
-  });
+// --- Model backend (provider and per-task settings from LLM_* env vars) ---
+const backend = llm.describeBackend();
+console.log(`Model provider: ${backend.provider}${backend.recording ? " (recording responses)" : ""}`);
 
-  csvSummary = [
-    `Dataset: ${csvRows.length} rows, ${csvColumns.length} columns.`,
-    "",
-    "Numeric columns (with stats):",
-    ...stats,
-    "",
-    "Categorical columns (with unique values):",
-    ...catInfo,
-    "",
-    "Sample rows (first 5):",
-    JSON.stringify(sampleRows, null, 2),
-  ].join("\n");
-
-  console.log(`Loaded CSV: ${csvRows.length} rows, ${csvColumns.length} columns`);
-}
+// --- Dataset endpoints ---
+app.get("/api/datasets", (req, res) => {
+  res.json({ datasets: datasets.listDatasets() });
+});
 
-loadCsv();
+// Raw file body; the file name comes in ?name= so the extension can pick CSV vs TSV
+app.post(
+  "/api/datasets",
+  express.text({ type: ["text/csv", "text/tab-separated-values", "text/plain", "application/octet-stream"], limit: "25mb" }),
+  (req, res) => {
+    const name = typeof req.query.name === "string" && req.query.name.trim() ? req.query.name.trim() : "upload.csv";
+    if (typeof req.body !== "string" || !req.body.trim()) {
+      return res.status(400).json({ error: "Upload a CSV or TSV file as the request body" });
+    }
 
-// --- Anthropic client ---
-const anthropic = new Anthropic();
+    const delimiter = req.is("text/tab-separated-values") ? "\t" : undefined;
+    let dataset;
+    try {
+      dataset = datasets.saveUpload(name, req.body, { delimiter });
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
 
-// --- Shared helper: evaluate a JS expression against csvRows ---
-const evalExpr = (expr) => {
-  const fn = new Function("rows", `"use strict"; return (${expr});`);
-  return fn(csvRows);
-};
+    generateDashboard(dataset);
+    res.status(201).json({ dataset: datasets.describeDataset(dataset) });
+  }
+);
 
-// --- Data endpoint (for client-side filtering) ---
+// --- Data endpoint: columns and category counts for filters (rows stay on the server) ---
 app.get("/api/data", (req, res) => {
-  res.json({ rows: csvRows, columns: csvColumns });
+  const dataset = resolveDataset(req.query.dataset, res);
+  if (!dataset) return;
+  res.json({
+    columns: dataset.columns,
+    numericColumns: dataset.numericCols,
+    columnOrders: datasets.columnOrders(dataset),
+    categories: columnCategories(dataset),
+  });
 });
 
-// --- Dashboard generation at startup ---
-let dashboardRecipes = [];
-let dashboardReady = false;
+// --- Column profile (inferred types, stats, correlations) ---
+app.get("/api/profile", (req, res) => {
+  const dataset = resolveDataset(req.query.dataset, res);
+  if (!dataset) return;
+  res.json({ profile: dataset.profile, columnOrders: datasets.columnOrders(dataset) });
+});
 
-async function generateDashboard() {
-  console.log("Generating dashboard...");
-  try {
-    const message = await anthropic.messages.create({
-      model: "claude-sonnet-4-5-20250929",
-      max_tokens: 4096,
-      system: `You are a data visualization expert. You will be given a dataset summary. Your job is to return exactly 6 chart recipe specifications as a JSON array.
-
-Each recipe tells the frontend which columns to use and how to aggregate them. The frontend will compute the actual data and handle filtering.
-
-Each recipe must follow this exact format:
-{
-  "title": "Chart Title",
-  "description": "One sentence explaining the key insight.",
-  "type": "bar|pie|scatter|histogram",
-  "xColumn": "column_name",
-  "yColumn": "column_name_or_null",
-  "aggregation": "count|average|sum|none"
-}
+// Set the category order charts use for a column; order: null restores the inferred one
+app.put("/api/datasets/:id/order", (req, res) => {
+  const dataset = resolveDataset(req.params.id, res);
+  if (!dataset) return;
+  const { column, order } = req.body;
+  if (!dataset.categoricalCols.includes(column)) {
+    return res.status(400).json({ error: `"${column}" is not a categorical column` });
+  }
+  if (order !== null && !(Array.isArray(order) && order.every((v) => typeof v === "string"))) {
+    return res.status(400).json({ error: "order must be an array of category values, or null" });
+  }
+  res.json({ columnOrders: datasets.setColumnOrder(dataset, column, order) });
+});
+
+// --- Dashboard generation per dataset ---
+const RECIPE_RULES = `Each recipe tells the frontend which columns to use and how to aggregate them. The dashboard computes the actual data and handles filtering.
 
 Rules:
 - type "bar" + aggregation "count": counts rows per unique value of xColumn
@@ -114,102 +107,504 @@ Rules:
 - type "bar" + aggregation "sum": sums yColumn per unique value of xColumn
 - type "pie" + aggregation "count": proportions of xColumn values
 - type "scatter" + aggregation "none": plots xColumn vs yColumn as points (both must be numeric)
-- type "histogram" + aggregation "count": bins numeric xColumn values into ranges
+- type "line" + aggregation "count" / "average" / "sum": like bar, drawn as a line across ordered xColumn values
+- type "histogram" + aggregation "count": bins numeric xColumn values into ranges; set binWidth (e.g. 10 for "age in 10-year bands") or binCount to control the bins
+- type "box" or "violin" + aggregation "none": distribution of numeric yColumn for each value of xColumn
+- type "heatmap" + aggregation "count": cross-tab counts of two categorical columns, xColumn by yColumn
+- type "correlation" + aggregation "none": correlation matrix of numeric columns; xColumn and yColumn are null, "columns" optionally lists the columns (default: every numeric measure)
+
+Scatter recipes may set "trendline": true to draw a least-squares line with its R².
+
+Bar, line and scatter recipes may add a "colorColumn" to split into series (one bar group, line or point color per value); bars then take a "barMode": "grouped", "stacked" or "percent" (100% stacked, for comparing proportions). Bar, line and pie recipes may add a "facetColumn" to draw one small panel per value. Use categorical columns with few values for both.
+
+A recipe may instead carry a declarative "query" (filter, groupBy, aggregates such as median, percentile or distinct_count, derived columns, sort, limit) when the simple aggregations above can't express the chart. The server runs the query, and xColumn / yColumn then name columns of the query result. Set aggregation to "none" for these.
+
+Use ONLY column names that exist in the dataset. Ordinal columns (brackets, size or agreement scales) are drawn in their natural order.`;
+
+const DASHBOARD_PROMPT = `You are a data visualization expert. You will be given a dataset summary. Your job is to return exactly 6 chart recipe specifications through the create_dashboard_recipes tool.
+
+${RECIPE_RULES}
 
 Pick 6 charts that cover:
 1. Distribution of a key categorical variable (pie)
 2. Comparison of a numeric metric across categories (bar + average)
 3. Relationship between two numeric variables (scatter)
 4. Distribution of a numeric variable (histogram)
-5. A surprising or noteworthy pattern you notice
-6. One more of your choice
+5. A surprising or noteworthy pattern you notice (a box plot, heatmap or correlation matrix often shows these best)
+6. One more of your choice`;
+
+const CARD_PROMPT = `You are a data visualization expert. You will be given a dataset summary and an existing dashboard. Your job is to replace one of its cards with exactly 1 new chart recipe, returned through the create_dashboard_recipes tool. The new chart should show something the other cards don't.
+
+${RECIPE_RULES}`;
+
+// Extra rounds the model gets to fix recipes that fail validation
+const MAX_REPAIR_ROUNDS = Number(process.env.RECIPE_REPAIR_ROUNDS) || 2;
+
+// Ask for recipes, sending validation errors back until they pass or the rounds run out.
+// Recipes still invalid after the last round come back with an `errors` list for the card.
+async function requestRecipes(dataset, system, content, { task, endpoint }) {
+  const messages = [{ role: "user", content }];
+  let recipes = null;
+
+  for (let round = 0; round <= MAX_REPAIR_ROUNDS; round++) {
+    const message = await llm.createMessage(task, {
+      system,
+      messages,
+      tools: [tools.DASHBOARD_TOOL],
+      tool_choice: { type: "tool", name: tools.DASHBOARD_TOOL.name },
+    }, { datasetHash: dataset.hash, endpoint });
+
+    const toolUse = message.content.find((b) => b.type === "tool_use");
+    if (!toolUse) throw new Error("Model did not call the dashboard tool");
+
+    const input = toolUse.input.recipes;
+    if (Array.isArray(input)) recipes = input;
+    const errors = validateRecipes(input, dataset);
+    if (errors.length === 0) return recipes;
+
+    console.warn(`Recipe validation failed (round ${round + 1}):`, errors.join("; "));
+    messages.push(
+      { role: "assistant", content: message.content },
+      {
+        role: "user",
+        content: [
+          {
+            type: "tool_result",
+            tool_use_id: toolUse.id,
+            is_error: true,
+            content: `These recipes are invalid:\n- ${errors.join("\n- ")}\n\nCall the tool again with the complete, corrected list of recipes.`,
+          },
+        ],
+      }
+    );
+  }
 
-Use ONLY column names that exist in the dataset. Return ONLY a JSON array — no markdown fences, no explanation.`,
-      messages: [{ role: "user", content: `Here is the dataset:\n\n${csvSummary}` }],
-    });
+  if (!recipes) throw new Error("Model did not return dashboard recipes");
+  return annotateRecipes(recipes, dataset);
+}
 
-    const rawText = message.content
-      .filter((b) => b.type === "text")
-      .map((b) => b.text)
-      .join("\n")
-      .trim();
+// The miner's strongest findings, as candidates for the "surprising pattern" card. Extra
+// context only: a mining failure leaves them out rather than blocking the dashboard.
+function describeFindings(dataset) {
+  let findings;
+  try {
+    findings = mineInsights(dataset, { limit: 5 });
+  } catch (err) {
+    console.error(`Insight mining failed for "${dataset.id}":`, err.message);
+    return "";
+  }
+  if (findings.length === 0) return "";
+  return `\n\nNotable findings computed from the full data:\n${findings.map((f) => `- ${f.title} (${f.evidence[0]})`).join("\n")}`;
+}
 
-    let jsonText = rawText.replace(/^```(?:json)?\s*\n?/, "").replace(/\n?\s*```$/, "").trim();
-    jsonText = jsonText.replace(/[\u201C\u201D\u201E\u201F\u2033\u2036]/g, '"');
-    jsonText = jsonText.replace(/[\u2018\u2019\u201A\u201B\u2032\u2035]/g, "'");
+// Reuse the saved default dashboard when there is one; only call Claude for new data
+async function generateDashboard(dataset) {
+  if (dashboards.findDefault(dataset)) {
+    dataset.dashboardReady = true;
+    console.log(`Dashboard loaded from store for "${dataset.id}"`);
+    return;
+  }
 
-    dashboardRecipes = JSON.parse(jsonText);
-    dashboardReady = true;
-    console.log(`Dashboard ready (${dashboardRecipes.length} recipes)`);
+  console.log(`Generating dashboard for "${dataset.id}"...`);
+  try {
+    const recipes = await requestRecipes(
+      dataset,
+      DASHBOARD_PROMPT,
+      `Here is the dataset:\n\n${dataset.summary}${describeFindings(dataset)}`,
+      { task: "dashboard", endpoint: "dashboard generation" }
+    );
+    dashboards.createDashboard({ dataset, recipes, isDefault: true, note: "Generated" });
+    dataset.dashboardReady = true;
+    console.log(`Dashboard ready for "${dataset.id}" (${recipes.length} recipes)`);
   } catch (err) {
-    console.error("Dashboard generation error:", err.message);
-    dashboardReady = true;
+    console.error(`Dashboard generation error for "${dataset.id}":`, err.message);
+    dataset.dashboardReady = true;
   }
 }
 
-generateDashboard();
+async function regenerateCard(dataset, recipes, index) {
+  const cards = recipes.map((r, i) => `${i + 1}. ${r.title} (${r.type}: ${r.xColumn}${r.yColumn ? ` / ${r.yColumn}` : ""})`);
+  const [recipe] = await requestRecipes(
+    dataset,
+    CARD_PROMPT,
+    `Here is the dataset:\n\n${dataset.summary}\n\nCurrent dashboard:\n${cards.join("\n")}\n\nReplace card ${index + 1} ("${recipes[index].title}").`,
+    { task: "card", endpoint: "POST /api/dashboards/:id/regenerate" }
+  );
+  if (!recipe) throw new Error("Model did not return a recipe");
+  return recipe;
+}
+
+generateDashboard(defaultDataset);
+uploadedDatasets.forEach(generateDashboard);
 
-// --- Dashboard endpoint ---
+// --- Dashboard endpoints ---
+// The dataset's generated default dashboard, once ready
 app.get("/api/dashboard", (req, res) => {
-  res.json({ recipes: dashboardRecipes, ready: dashboardReady });
+  const dataset = resolveDataset(req.query.dataset, res);
+  if (!dataset) return;
+  const dashboard = dashboards.findDefault(dataset);
+  const view = dashboard ? dashboards.dashboardView(dashboard) : null;
+  res.json({ recipes: view ? view.recipes : [], dashboard: view, ready: dataset.dashboardReady });
 });
 
-// --- Chat endpoint ---
-app.post("/api/chat", async (req, res) => {
-  const { question, vizMode } = req.body;
-  if (!question || typeof question !== "string") {
-    return res.status(400).json({ error: "Missing question" });
+app.get("/api/dashboards", (req, res) => {
+  const dataset = resolveDataset(req.query.dataset, res);
+  if (!dataset) return;
+  res.json({ dashboards: dashboards.listDashboards(dataset) });
+});
+
+// Resolve a stored dashboard by id; sends a 404 and returns null if unknown
+function resolveDashboard(id, res) {
+  const dashboard = dashboards.getDashboard(id);
+  if (!dashboard) res.status(404).json({ error: `Unknown dashboard: ${id}` });
+  return dashboard;
+}
+
+function isRecipeList(recipes) {
+  return Array.isArray(recipes) && recipes.every((r) => r && typeof r === "object" && typeof r.type === "string");
+}
+
+// Save a named copy; recipes default to the dataset's current default dashboard
+app.post("/api/dashboards", (req, res) => {
+  const { datasetId, name, recipes } = req.body;
+  const dataset = resolveDataset(datasetId, res);
+  if (!dataset) return;
+  if (!name || typeof name !== "string") {
+    return res.status(400).json({ error: "Missing dashboard name" });
+  }
+
+  const fallback = dashboards.findDefault(dataset);
+  const initial = recipes || (fallback ? dashboards.dashboardView(fallback).recipes : []);
+  if (!isRecipeList(initial)) {
+    return res.status(400).json({ error: "recipes must be an array of chart recipes" });
+  }
+
+  const dashboard = dashboards.createDashboard({ name: name.trim(), dataset, recipes: annotateRecipes(initial, dataset) });
+  res.status(201).json({ dashboard: dashboards.dashboardView(dashboard) });
+});
+
+app.get("/api/dashboards/:id", (req, res) => {
+  const dashboard = resolveDashboard(req.params.id, res);
+  if (!dashboard) return;
+  const view = dashboards.dashboardView(dashboard, req.query.version);
+  if (!view) return res.status(404).json({ error: `Unknown version: ${req.query.version}` });
+  res.json({ dashboard: view });
+});
+
+// Save the edited recipe list as a new version
+app.put("/api/dashboards/:id", (req, res) => {
+  const dashboard = resolveDashboard(req.params.id, res);
+  if (!dashboard) return;
+  const { recipes, note } = req.body;
+  if (!isRecipeList(recipes)) {
+    return res.status(400).json({ error: "recipes must be an array of chart recipes" });
+  }
+
+  // Hand-edited recipes are checked too, so a broken edit shows its errors on the card
+  const dataset = datasets.getDataset(dashboard.datasetId);
+  const checked = dataset ? annotateRecipes(recipes, dataset) : recipes;
+  dashboards.saveVersion(dashboard, checked, typeof note === "string" ? note : "Edited");
+  res.json({ dashboard: dashboards.dashboardView(dashboard) });
+});
+
+// Ask Claude for a replacement for one card and save it as a new version
+app.post("/api/dashboards/:id/regenerate", async (req, res) => {
+  const dashboard = resolveDashboard(req.params.id, res);
+  if (!dashboard) return;
+  const dataset = resolveDataset(dashboard.datasetId, res);
+  if (!dataset) return;
+
+  const recipes = dashboards.dashboardView(dashboard).recipes;
+  const index = Number(req.body.index);
+  if (!Number.isInteger(index) || index < 0 || index >= recipes.length) {
+    return res.status(400).json({ error: "index must point at an existing card" });
+  }
+
+  try {
+    const recipe = await regenerateCard(dataset, recipes, index);
+    const updated = recipes.map((r, i) => (i === index ? recipe : r));
+    dashboards.saveVersion(dashboard, updated, `Regenerated card ${index + 1}`);
+    res.json({ dashboard: dashboards.dashboardView(dashboard) });
+  } catch (err) {
+    console.error("Card regeneration error:", err.message);
+    res.status(500).json({ error: "Failed to regenerate the card" });
+  }
+});
+
+// --- Insights: findings mined from the data, narrated by Claude ---
+const INSIGHTS_PROMPT = `You are a data analyst writing up findings for a dashboard's Insights panel. You will be given a dataset summary and findings that were computed from the full data, each with its evidence. Write a headline and a short narrative for every finding through the narrate_insights tool.
+
+Use only the numbers in the evidence; don't add findings or speculate about causes. Keep each narrative to one or two sentences a non-statistician can follow.`;
+
+// Findings per dataset hash, so an identical upload reuses them
+const insightsCache = new Map();
+
+async function narrateInsights(dataset, findings) {
+  const list = findings.map((f) => `- id: ${f.id}\n  ${f.title}\n  ${f.evidence.join("\n  ")}`).join("\n");
+  const message = await llm.createMessage("insights", {
+    system: INSIGHTS_PROMPT,
+    messages: [{ role: "user", content: `Here is the dataset:\n\n${dataset.summary}\n\nFindings:\n${list}` }],
+    tools: [tools.INSIGHTS_TOOL],
+    tool_choice: { type: "tool", name: tools.INSIGHTS_TOOL.name },
+  }, { datasetHash: dataset.hash, endpoint: "GET /api/insights" });
+
+  const toolUse = message.content.find((b) => b.type === "tool_use");
+  const narrated = new Map(
+    (toolUse && Array.isArray(toolUse.input.insights) ? toolUse.input.insights : [])
+      .filter((n) => n && typeof n.headline === "string" && typeof n.narrative === "string")
+      .map((n) => [n.id, n])
+  );
+  return findings.map((f) => {
+    const n = narrated.get(f.id);
+    return { ...f, headline: n ? n.headline : f.title, narrative: n ? n.narrative : "" };
+  });
+}
+
+// Mined findings with their narration; without it (model error) the titles stand in
+async function buildInsights(dataset) {
+  const findings = mineInsights(dataset);
+  if (findings.length === 0) return [];
+  try {
+    return await narrateInsights(dataset, findings);
+  } catch (err) {
+    console.error(`Insight narration error for "${dataset.id}":`, err.message);
+    return findings.map((f) => ({ ...f, headline: f.title, narrative: "" }));
+  }
+}
+
+app.get("/api/insights", async (req, res) => {
+  const dataset = resolveDataset(req.query.dataset, res);
+  if (!dataset) return;
+
+  if (!insightsCache.has(dataset.hash)) insightsCache.set(dataset.hash, buildInsights(dataset));
+  try {
+    res.json({ insights: await insightsCache.get(dataset.hash) });
+  } catch (err) {
+    insightsCache.delete(dataset.hash);
+    console.error("Insights error:", err.message);
+    res.status(500).json({ error: "Failed to find insights" });
+  }
+});
+
+// --- Share links: short ids for a view state ---
+app.post("/api/shares", (req, res) => {
+  const { state } = req.body;
+  const error = shares.validateState(state);
+  if (error) return res.status(400).json({ error });
+  res.status(201).json({ id: shares.createShare(state).id });
+});
+
+app.get("/api/shares/:id", (req, res) => {
+  const share = shares.getShare(req.params.id);
+  if (!share) return res.status(404).json({ error: "Unknown share link" });
+  res.json({ state: share.state });
+});
+
+// --- Model usage and response cache ---
+// Calls, tokens, latency and estimated cost over the last ?days= days (default 30), by day and endpoint
+app.get("/api/usage", (req, res) => {
+  const days = req.query.days === undefined ? 30 : Number(req.query.days);
+  if (!(days > 0)) return res.status(400).json({ error: "days must be a positive number" });
+  res.json({ ...usage.summarizeUsage({ days }), backend: llm.describeBackend() });
+});
+
+// Drop cached model responses; ?dataset= and ?task= narrow it down, neither clears everything
+app.delete("/api/cache", (req, res) => {
+  const { dataset: datasetId, task } = req.query;
+  if (task !== undefined && !llm.TASKS[task]) {
+    return res.status(400).json({ error: `task must be one of ${Object.keys(llm.TASKS).join(", ")}` });
+  }
+  let datasetHash;
+  if (datasetId !== undefined) {
+    const dataset = resolveDataset(datasetId, res);
+    if (!dataset) return;
+    datasetHash = dataset.hash;
+  }
+
+  const removed = responseCache.invalidate({ datasetHash, task });
+  // Narrated insights are held in memory too
+  if (!task || task === "insights") {
+    if (datasetHash) insightsCache.delete(datasetHash);
+    else insightsCache.clear();
+  }
+  res.json({ removed });
+});
+
+// --- Query endpoint (query-backed recipes, re-running chat queries) ---
+// Body: { datasetId, query, filters } — filters are extra query filter entries
+// (the dashboard's cross-filters) applied before the query's own. Results are capped at
+// MAX_QUERY_ROWS rows, with `truncated` set when the cap cut some off.
+const MAX_QUERY_ROWS = 5000;
+
+app.post("/api/query", (req, res) => {
+  const { datasetId, query, filters } = req.body;
+  const dataset = resolveDataset(datasetId, res);
+  if (!dataset) return;
+  if (!query || typeof query !== "object") {
+    return res.status(400).json({ error: "Missing query" });
   }
 
+  try {
+    const result = runQuery(withFilters(query, filters), dataset);
+    const truncated = result.rows.length > MAX_QUERY_ROWS;
+    res.json({ ...result, rows: truncated ? result.rows.slice(0, MAX_QUERY_ROWS) : result.rows, truncated });
+  } catch (err) {
+    if (err instanceof QueryError) {
+      return res.status(400).json({ error: err.message, errors: err.errors });
+    }
+    console.error("Query error:", err.message);
+    res.status(500).json({ error: "Failed to run query" });
+  }
+});
+
+// --- Aggregation endpoint (dashboard cards) ---
+// Body: { datasetId, recipe, filters, categories, series, maxCategories } — filters are the
+// dashboard's cross-filters as query filter entries, categories and series the card's pill
+// selections. Returns only the chart's aggregated data.
+const isLabelList = (value) => value == null || (Array.isArray(value) && value.every((v) => typeof v === "string"));
+
+app.post("/api/aggregate", (req, res) => {
+  const { datasetId, recipe, filters = [], categories = null, series = null, maxCategories = null } = req.body;
+  const dataset = resolveDataset(datasetId, res);
+  if (!dataset) return;
+  if (!recipe || typeof recipe !== "object") {
+    return res.status(400).json({ error: "Missing recipe" });
+  }
+  if (recipe.query) {
+    return res.status(400).json({ error: "Query-backed recipes run through /api/query" });
+  }
+  const errors = validateRecipe(recipe, dataset);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: "Invalid recipe", errors });
+  }
+  if (!isLabelList(categories) || !isLabelList(series)) {
+    return res.status(400).json({ error: "categories and series must be arrays of category values" });
+  }
+  if (maxCategories != null && !(Number.isInteger(maxCategories) && maxCategories > 0)) {
+    return res.status(400).json({ error: "maxCategories must be a positive whole number" });
+  }
+
+  try {
+    validateFilters(filters, dataset);
+    res.json(aggregateRecipe(dataset, { recipe, filters, categories, series, maxCategories }, datasets.columnOrders(dataset)));
+  } catch (err) {
+    if (err instanceof QueryError) return res.status(400).json({ error: err.message, errors: err.errors });
+    console.error("Aggregation error:", err.message);
+    res.status(500).json({ error: "Failed to aggregate the chart" });
+  }
+});
+
+// --- Row browser: one page of the filtered rows, for drilling into a chart ---
+// Body: { datasetId, filters, offset, limit, sort: { column, direction } }
+const MAX_PAGE_ROWS = 200;
+
+app.post("/api/rows", (req, res) => {
+  const { datasetId, filters = [], offset = 0, limit = 50, sort = null } = req.body;
+  const dataset = resolveDataset(datasetId, res);
+  if (!dataset) return;
+  if (!Number.isInteger(offset) || offset < 0) {
+    return res.status(400).json({ error: "offset must be a whole number from 0" });
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_ROWS) {
+    return res.status(400).json({ error: `limit must be a whole number from 1 to ${MAX_PAGE_ROWS}` });
+  }
+  if (sort != null && !(dataset.columns.includes(sort.column) && ["asc", "desc"].includes(sort.direction))) {
+    return res.status(400).json({ error: "sort must name a column and a direction (asc or desc)" });
+  }
+
+  try {
+    validateFilters(filters, dataset);
+    let ids = selectRows(dataset.store, filters);
+    if (sort) {
+      ids = sortIds(dataset.store, ids, sort.column, { descending: sort.direction === "desc", numeric: dataset.numericCols.includes(sort.column) });
+    }
+    res.json({
+      columns: dataset.columns,
+      rows: readRows(dataset.store, ids.slice(offset, offset + limit), dataset.columns),
+      totalRows: ids.length,
+      offset,
+    });
+  } catch (err) {
+    if (err instanceof QueryError) return res.status(400).json({ error: err.message, errors: err.errors });
+    console.error("Row browser error:", err.message);
+    res.status(500).json({ error: "Failed to read the rows" });
+  }
+});
+
+// --- Significance tests ---
+// Body: { datasetId, filters, test, groupColumn, valueColumn, groups, xColumn, yColumn }
+app.post("/api/stats", (req, res) => {
+  const { datasetId, filters = [], ...spec } = req.body;
+  const dataset = resolveDataset(datasetId, res);
+  if (!dataset) return;
+
+  try {
+    validateFilters(filters, dataset);
+    res.json({ result: runTest(spec, datasets.datasetRows(dataset, filters), dataset) });
+  } catch (err) {
+    if (err instanceof QueryError) return res.status(400).json({ error: err.message, errors: err.errors });
+    if (err instanceof StatsError) return res.status(400).json({ error: err.message });
+    console.error("Stats error:", err.message);
+    res.status(500).json({ error: "Failed to run the test" });
+  }
+});
+
+// --- Conversation endpoints ---
+app.get("/api/conversations", (req, res) => {
+  const dataset = resolveDataset(req.query.dataset, res);
+  if (!dataset) return;
+  res.json({ conversations: conversations.listConversations(dataset.id) });
+});
+
+app.get("/api/conversations/:id", (req, res) => {
+  const conversation = conversations.getConversation(req.params.id);
+  if (!conversation) return res.status(404).json({ error: "Unknown conversation" });
+  res.json({ conversation });
+});
+
+// --- Chat ---
+// Numbered card list, so the model can name cards in dashboard actions
+function describeCards(dashboard) {
+  if (!dashboard) return "";
+  const cards = dashboards.dashboardView(dashboard).recipes.map((r, i) => `${i + 1}. ${r.title} (${r.type}${r.xColumn ? ` of ${r.xColumn}` : ""})`);
+  return cards.length > 0 ? ` The dashboard's cards:\n${cards.join("\n")}` : "";
+}
+
+function buildChatPrompt(dataset, vizMode, filters, dashboard) {
+  const filterPrompt = filters.length > 0 ? `
+**Active dashboard filters:** the user is looking at the dashboard filtered to ${describeFilters(filters)}. Every query, compute and chart you run only sees those rows — the summary statistics above describe the whole dataset. Make it clear in your answer that it applies to this filtered subset.
+` : "";
+
   const vizPrompt = vizMode ? `
 
 **Visualization mode is ON.**
 
-In addition to your text explanation, also return a chart specification as a JSON code block. The chart will be rendered with Plotly.js on the frontend.
-
-Return the chart spec in this format:
-
-\`\`\`json
-{"chart": {
-  "type": "bar|pie|scatter|histogram",
-  "title": "Chart Title",
-  "data": {
-    "labels": "<js expression returning string array, evaluated against rows>",
-    "values": "<js expression returning number array, evaluated against rows>"
-  },
-  "xLabel": "X Axis Label",
-  "yLabel": "Y Axis Label"
-}}
-\`\`\`
-
-For scatter charts, use "x" and "y" instead of "labels" and "values":
-\`\`\`json
-{"chart": {
-  "type": "scatter",
-  "title": "Chart Title",
-  "data": {
-    "x": "<js expression returning number array>",
-    "y": "<js expression returning number array>"
-  },
-  "xLabel": "X Axis",
-  "yLabel": "Y Axis"
-}}
-\`\`\`
+In addition to your text explanation, also draw a chart with the create_chart tool. The chart will be rendered with Plotly.js on the frontend.
 
 Guidelines for chart selection:
 - Comparing categories (e.g. by gender, by industry): use "bar"
 - Showing proportions of a categorical variable: use "pie"
 - Relationship between two numeric variables: use "scatter"
 - Distribution of a numeric variable: use "histogram"
+- Trends across an ordered variable (brackets, scales, years of experience): use "line"
+- Spread of a numeric variable per category: use "box" or "violin"
+- How two categorical variables combine (a cross-tab): use "heatmap"
+- How all the numeric variables relate to each other: use "correlation"
+- Splitting by a second variable (e.g. threat level by industry, split by gender): add a colorColumn, with barMode "grouped", "stacked" or "percent" for shares; for a third variable add a facetColumn (one small panel per value)
+
+Describe the chart data with a query, and name the result columns to plot in xColumn and yColumn. Example, counts per industry:
+- query: \`{"groupBy": ["industry"], "aggregates": [{"op": "count"}]}\`, xColumn: \`industry\`, yColumn: \`count\`
+
+With a colorColumn or facetColumn, group the query by those columns as well, e.g. \`{"groupBy": ["industry", "gender"], "aggregates": [{"op": "mean", "column": "perceived_threat_level"}]}\` with xColumn \`industry\`, yColumn \`mean_perceived_threat_level\`, colorColumn \`gender\`.
 
-The JavaScript expressions in data fields will be evaluated with \`rows\` (the full dataset array). Write expressions that return arrays. Example:
-- labels: \`[...new Set(rows.map(r => r.industry))]\`
-- values: \`[...new Set(rows.map(r => r.industry))].map(ind => rows.filter(r => r.industry === ind).length)\`
+For a box or violin chart, select the category and the numeric column (\`{"select": ["industry", "ai_exposure_score"]}\`). For a heatmap, group by both columns and name the aggregate in valueColumn. A correlation chart needs no query, only an optional \`columns\` list.
 
-Always provide a text explanation BEFORE the chart spec. Do NOT use a compute block when providing a chart block.
+For a scatter chart, select the two numeric columns (\`{"select": ["age", "ai_exposure_score"]}\`) and set trendline to true to show the fitted line and R²; for a histogram, select the one column and set only xColumn.
+
+Only if a query can't express the data, use \`data\` fields with JavaScript expressions evaluated against \`rows\` that return arrays (labels/values, or x/y for scatter).
 ` : "";
 
-  const systemPrompt = `You are a senior data expert who's spent months with this survey dataset. You know it inside and out. Talk about it the way you'd talk to a colleague over coffee — naturally, conversationally, like someone who genuinely finds this stuff interesting.
+  return `You are a senior data expert who's spent months with the "${dataset.name}" dataset. You know it inside and out. Talk about it the way you'd talk to a colleague over coffee — naturally, conversationally, like someone who genuinely finds this stuff interesting.
 
 **How you communicate:**
 
@@ -222,84 +617,233 @@ Always provide a text explanation BEFORE the chart spec. Do NOT use a compute bl
 
 **Your knowledge base:**
 
-${csvSummary}
-
+${dataset.summary}
+${filterPrompt}
 **When you need to compute something:**
 
-If a question requires calculation over the full dataset, include a JSON code block with a JavaScript expression that will be evaluated against \`rows\` (an array of row objects). The expression must return the final answer as a string or number. Use only basic JS (map, filter, reduce, sort, Set, Math, Object).
+If a question requires calculation over the full dataset, call the query tool with a declarative query (filter, groupBy, aggregates, sort, limit, derived columns). Only fall back to the compute tool — a JavaScript expression evaluated against \`rows\`, an array of row objects — when a query can't express it. You'll get the result back before you answer, so you can compute, look at the number, and then explain it.
+
+Frame it naturally — the reader should understand what the result means in context, not just see a number. Don't paste code into your reply. Query results and compute results shaped as a table (an array of objects, or a map of group → value) appear under your reply as a sortable table, so don't list them row by row — point out what matters.
 
-\`\`\`json
-{"compute": "<javascript expression>"}
-\`\`\`
+**When you compare groups or claim a relationship:** before saying a group "stands out" or two things are "related", check it with the stats_test tool — t_test or mann_whitney for two groups, anova or kruskal_wallis for several, chi_square for two categorical columns, pearson or spearman for two numeric ones. Mention the test, p-value and effect size briefly in plain words (e.g. "a t-test puts this at p = 0.003, a medium effect"), and if the difference isn't significant, say it may be noise.
 
-When you do this, frame it naturally — set up what you're looking into before the code block, and after the result comes back, the reader should understand what it means in context, not just see a number.
+**When the user asks to change the dashboard view** ("filter to Finance", "clear the filters", "show me the age card", "open the profile"): call dashboard_action. The browser applies the actions, lists them in the chat and lets the user undo them, so just say briefly what you changed.${describeCards(dashboard)}
+
+**When the user asks to add or pin a chart to the dashboard:** draw it with create_chart, described by a query, and set pinToDashboard plus a one-sentence description for the card. Pinned cards are recomputed under the dashboard's filters, so leave the current dashboard filters out of the query.${vizMode ? "" : " Outside visualization mode, only call create_chart for this."}
 ${vizPrompt}
 **If you can't answer something from this data, just say so.** Suggest what would be needed. Don't guess or stretch the data beyond what it can support.`;
+}
+
+// Validate a chat request and resolve its dataset and conversation.
+// Sends the error response and returns null when the request is unusable.
+function prepareChat(req, res) {
+  const { question, vizMode, datasetId, conversationId, dashboardId, filters = [] } = req.body;
+  if (!question || typeof question !== "string") {
+    res.status(400).json({ error: "Missing question" });
+    return null;
+  }
+  const dataset = resolveDataset(datasetId, res);
+  if (!dataset) return null;
 
   try {
-    const message = await anthropic.messages.create({
-      model: "claude-sonnet-4-5-20250929",
-      max_tokens: 4096,
-      system: systemPrompt,
-      messages: [{ role: "user", content: question }],
-    });
+    validateFilters(filters, dataset);
+  } catch (err) {
+    res.status(400).json({ error: err.message, errors: err.errors });
+    return null;
+  }
 
-    let reply = message.content
-      .filter((b) => b.type === "text")
-      .map((b) => b.text)
-      .join("\n");
+  let conversation;
+  if (conversationId) {
+    conversation = conversations.getConversation(conversationId);
+    if (!conversation) {
+      res.status(404).json({ error: "Unknown conversation" });
+      return null;
+    }
+    if (conversation.datasetId !== dataset.id) {
+      res.status(400).json({ error: "Conversation belongs to a different dataset" });
+      return null;
+    }
+  } else {
+    conversation = conversations.createConversation(dataset.id);
+  }
 
-    // Check if Claude returned a compute block
-    const computeMatch = reply.match(/```json\s*\n?\{[\s\S]*?"compute"\s*:\s*"([\s\S]*?)"\s*\}\s*\n?```/);
-    if (computeMatch) {
+  // Pins and dashboard actions go to the dashboard the user is viewing, else the dataset's default
+  const viewed = dashboardId && dashboards.getDashboard(dashboardId);
+  const dashboard = viewed && viewed.datasetHash === dataset.hash ? viewed : dashboards.findDefault(dataset);
+
+  return {
+    question,
+    conversation,
+    scope: { dataset, filters, rows: null, dashboard },
+    params: {
+      system: buildChatPrompt(dataset, vizMode, filters, dashboard),
+      messages: conversations.buildMessages(conversation, question),
+      tools: tools.CHAT_TOOLS,
+    },
+  };
+}
+
+const replyText = (message) => message.content
+  .filter((b) => b.type === "text")
+  .map((b) => b.text)
+  .join("\n");
+
+const MAX_TOOL_ROUNDS = 5;
+const TOOL_SOURCES = { compute: "compute", query: "query", stats_test: "stats", create_chart: "chart", dashboard_action: "dashboard action" };
+
+// Run the model with the chat tools until it stops asking for them.
+// Tools run against `scope` (the dataset narrowed by the dashboard filters).
+// onText streams text deltas; onCompute / onChart / onDashboard / onActions / onStep fire as each tool call resolves.
+// Every call also becomes a provenance step: what ran, on which filters and rows, how long it took, what came back.
+async function runChatLoop(params, scope, { endpoint, signal, onText, onCompute, onChart, onDashboard, onActions, onStep } = {}) {
+  const messages = [...params.messages];
+  const texts = [];
+  const computations = [];
+  const actions = [];
+  const errors = [];
+  const provenance = [];
+  let chart = null;
+  let dashboard = null;
+
+  for (let round = 0; round < MAX_TOOL_ROUNDS; round++) {
+    // Last round: no more tools, the model has to write its answer
+    const toolChoice = round === MAX_TOOL_ROUNDS - 1 ? { type: "none" } : { type: "auto" };
+    let started = false;
+    const message = await llm.streamMessage("chat", { ...params, messages, tool_choice: toolChoice }, {
+      datasetHash: scope.dataset.hash,
+      endpoint,
+      signal,
+      onText: onText && ((delta) => {
+        if (!started && texts.length) onText("\n\n");
+        started = true;
+        onText(delta);
+      }),
+    });
+    const text = replyText(message).trim();
+    if (text) texts.push(text);
+    if (message.stop_reason !== "tool_use") break;
+
+    const results = [];
+    for (const call of message.content.filter((b) => b.type === "tool_use")) {
+      const step = {
+        tool: TOOL_SOURCES[call.name] || call.name,
+        filters: describeFilters(scope.filters),
+        rows: selectRows(scope.dataset.store, scope.filters).length,
+        totalRows: scope.dataset.store.length,
+      };
+      const startedAt = performance.now();
       try {
-        const jsonBlock = reply.match(/```json\s*\n?([\s\S]*?)\n?```/)[1];
-        const parsed = JSON.parse(jsonBlock);
-        const expression = parsed.compute;
-        const fn = new Function("rows", `"use strict"; return (${expression});`);
-        const result = fn(csvRows);
-        const beforeBlock = reply.substring(0, reply.indexOf("```json")).trim();
-        reply = beforeBlock ? `${beforeBlock}\n\n${result}` : String(result);
-      } catch (evalErr) {
-        console.error("Compute error:", evalErr.message);
+        const outcome = await tools.executeTool(call.name, call.input, scope);
+        Object.assign(step, { ran: tools.describeToolCall(call.name, call.input, outcome), result: outcome.content });
+        if (outcome.computed && outcome.computed.matchedRows != null) step.matchedRows = outcome.computed.matchedRows;
+        if (outcome.computed) {
+          computations.push(outcome.computed);
+          if (onCompute) onCompute(outcome.computed);
+        }
+        if (outcome.chart) {
+          chart = outcome.chart;
+          if (onChart) onChart(chart);
+        }
+        if (outcome.dashboard) {
+          dashboard = outcome.dashboard;
+          if (onDashboard) onDashboard(dashboard);
+        }
+        if (outcome.actions) {
+          actions.push(...outcome.actions);
+          if (onActions) onActions(outcome.actions);
+        }
+        results.push({ type: "tool_result", tool_use_id: call.id, content: outcome.content });
+      } catch (toolErr) {
+        console.error(`Tool error (${call.name}):`, toolErr.message);
+        const error = tools.toToolError(TOOL_SOURCES[call.name] || call.name, toolErr);
+        errors.push(error);
+        results.push({ type: "tool_result", tool_use_id: call.id, content: `${error.code}: ${error.message}`, is_error: true });
+        Object.assign(step, { ran: tools.describeToolCall(call.name, call.input, null), error });
       }
+      step.runtimeMs = Math.round((performance.now() - startedAt) * 10) / 10;
+      provenance.push(step);
+      if (onStep) onStep(step);
     }
 
-    // Check if Claude returned a chart spec block
-    let chartData = null;
-    const allJsonBlocks = [...reply.matchAll(/```json\s*\n([\s\S]*?)\n\s*```/g)];
-    for (const block of allJsonBlocks) {
-      let jsonText = block[1].trim();
-      jsonText = jsonText.replace(/[\u201C\u201D\u201E\u201F\u2033\u2036]/g, '"');
-      jsonText = jsonText.replace(/[\u2018\u2019\u201A\u201B\u2032\u2035]/g, "'");
+    messages.push({ role: "assistant", content: message.content }, { role: "user", content: results });
+  }
+
+  return { reply: texts.join("\n\n"), computations, chart, actions, errors, provenance, dashboard };
+}
 
-      try {
-        const parsed = JSON.parse(jsonText);
-        if (!parsed.chart) continue;
+// --- Chat endpoint ---
+app.post("/api/chat", async (req, res) => {
+  const chat = prepareChat(req, res);
+  if (!chat) return;
+  const { question, conversation, scope, params } = chat;
+
+  try {
+    const { dashboard, ...result } = await runChatLoop(params, scope, { endpoint: "POST /api/chat" });
+
+    conversations.addTurn(conversation, { question, filters: scope.filters, ...result });
+    res.json({
+      reply: result.reply,
+      chart: result.chart,
+      dashboard,
+      actions: result.actions,
+      errors: result.errors,
+      provenance: result.provenance,
+      filters: scope.filters,
+      conversationId: conversation.id,
+    });
+  } catch (err) {
+    console.error("Claude API error:", err.message);
+    res.status(500).json({ error: "Failed to get response from Claude" });
+  }
+});
 
-        const chartSpec = parsed.chart;
+// --- Streaming chat endpoint (Server-Sent Events) ---
+// Events: text {text}, compute {expression, result}, chart {chart}, dashboard {dashboard} (after a pin),
+// actions {actions} (dashboard view changes for the browser to apply), step {tool, ran, filters, rows, runtimeMs, result | error},
+// done {reply, errors, filters, conversationId}, error {error}
+app.post("/api/chat/stream", async (req, res) => {
+  const chat = prepareChat(req, res);
+  if (!chat) return;
+  const { question, conversation, scope, params } = chat;
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
 
-        // Evaluate JS expressions in data fields
-        for (const key of ["labels", "values", "x", "y"]) {
-          if (typeof chartSpec.data[key] === "string") {
-            chartSpec.data[key] = evalExpr(chartSpec.data[key]);
-          }
-        }
+  // Client went away (Stop button, closed tab): abort the upstream call
+  const controller = new AbortController();
+  res.on("close", () => {
+    if (!res.writableEnded) controller.abort();
+  });
 
-        chartData = chartSpec;
-        reply = reply.replace(block[0], "").trim();
-        break;
-      } catch (chartErr) {
-        console.error("Chart eval error:", chartErr.message);
-        console.error("JSON text was:", jsonText.substring(0, 200));
-      }
-    }
+  try {
+    const result = await runChatLoop(params, scope, {
+      endpoint: "POST /api/chat/stream",
+      signal: controller.signal,
+      onText: (text) => send("text", { text }),
+      onCompute: (computed) => send("compute", computed),
+      onChart: (chart) => send("chart", { chart }),
+      onDashboard: (dashboard) => send("dashboard", { dashboard }),
+      onActions: (actions) => send("actions", { actions }),
+      onStep: (step) => send("step", step),
+    });
 
-    res.json({ reply, chart: chartData });
+    // The pinned dashboard already went out as its own event and isn't part of the turn
+    const { reply, computations, chart, actions, errors, provenance } = result;
+    conversations.addTurn(conversation, { question, filters: scope.filters, reply, computations, chart, actions, errors, provenance });
+    send("done", { reply: result.reply, errors: result.errors, filters: scope.filters, conversationId: conversation.id });
   } catch (err) {
+    if (controller.signal.aborted) {
+      console.log("Chat stream cancelled by client");
+      return;
+    }
     console.error("Claude API error:", err.message);
-    res.status(500).json({ error: "Failed to get response from Claude" });
+    send("error", { error: "Failed to get response from Claude" });
   }
+  res.end();
 });
 
 app.listen(PORT, () => {